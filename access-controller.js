@@ -1,4 +1,10 @@
-const { constructTransformedRethinkQuery } = require('./query-transformer');
+const {
+  constructTransformedRethinkQuery,
+  constructCursorRethinkQuery,
+  constructAggregateRethinkQuery,
+  getQueryTimeout,
+  runRethinkQuery
+} = require('./query-transformer');
 const { parseChannelResourceQuery } = require('./channel-resource-parser');
 const AsyncStreamEmitter = require('async-stream-emitter');
 const { validateQuery } = require('./validate');
@@ -9,6 +15,8 @@ let AccessController = function (agServer, options) {
   this.options = options || {};
   this.schema = this.options.schema || {};
   this.maxPageSize = this.options.maxPageSize || null;
+  this.maxOffset = this.options.maxOffset ?? null;
+  this.maxBatchSize = this.options.maxBatchSize ?? null;
   this.rethink = this.options.rethink;
   this.cache = this.options.cache;
   this.agServer = agServer;
@@ -31,6 +39,8 @@ let AccessController = function (agServer, options) {
   this._getComputedModelSchema = (type) => {
     return {
       maxPageSize: this.maxPageSize,
+      maxOffset: this.maxOffset,
+      maxBatchSize: this.maxBatchSize,
       ...this.schema[type]
     };
   };
@@ -65,6 +75,19 @@ let AccessController = function (agServer, options) {
             continue;
           }
 
+          if (query.action === 'read' && Array.isArray(query.ids)) {
+            let {maxPageSize} = this._getComputedModelSchema(query.type);
+            if (maxPageSize != null && query.ids.length > maxPageSize) {
+              let error = new Error(
+                `You are not permitted to read multiple ${query.type} resources - The number of ids exceeded the maxPageSize of ${maxPageSize}`
+              );
+              error.name = 'CRUDBlockedError';
+              error.type = 'pre';
+              action.block(error);
+              continue;
+            }
+          }
+
           if (query.action === 'read' && query.view && typeof query.pageSize === 'number') {
             let {maxPageSize} = this._getComputedModelSchema(query.type);
             if (maxPageSize != null && query.pageSize > maxPageSize) {
@@ -78,24 +101,57 @@ let AccessController = function (agServer, options) {
             }
           }
 
+          if (query.action === 'read' && query.view && typeof query.offset === 'number') {
+            let {maxOffset} = this._getComputedModelSchema(query.type);
+            if (maxOffset != null && query.offset > maxOffset) {
+              let error = new Error(
+                `You are not permitted to access the ${query.view} view of the ${query.type} model - Query offset exceeded the maxOffset of ${maxOffset}`
+              );
+              error.name = 'CRUDBlockedError';
+              error.type = 'pre';
+              action.block(error);
+              continue;
+            }
+          }
+
+          if (Array.isArray(query.batch)) {
+            let {maxBatchSize} = this._getComputedModelSchema(query.type);
+            if (maxBatchSize != null && query.batch.length > maxBatchSize) {
+              let error = new Error(
+                `You are not permitted to ${query.action} multiple ${query.type} resources - The number of batch items exceeded the maxBatchSize of ${maxBatchSize}`
+              );
+              error.name = 'CRUDBlockedError';
+              error.type = 'pre';
+              action.block(error);
+              continue;
+            }
+          }
+
           // If socket has a valid auth token, then allow emitting get or set events
           let authToken = action.socket.authToken;
 
           let preAccessFilter = this._getModelAccessFilter(query.type, 'pre');
           if (preAccessFilter) {
-            let crudRequest = {
-              r: this.rethink,
-              socket: action.socket,
-              action: query.action,
-              authToken,
-              query
-            };
+            // Each item of a batch goes through the pre access filter as a separate query;
+            // the whole batch is blocked if any of its items is blocked.
+            let itemQueries = Array.isArray(query.batch) ?
+              query.batch.map((item) => ({publisherId: query.publisherId, ...item, action: query.action, type: query.type})) :
+              [query];
+            let itemQuery;
             try {
-              await preAccessFilter(crudRequest);
+              for (itemQuery of itemQueries) {
+                await preAccessFilter({
+                  r: this.rethink,
+                  socket: action.socket,
+                  action: query.action,
+                  authToken,
+                  query: itemQuery
+                });
+              }
             } catch (error) {
               if (typeof error === 'boolean') {
                 error = new Error(
-                  `You are not permitted to perform a CRUD operation on the ${query.type} resource with ID ${query.id}`
+                  `You are not permitted to perform a CRUD operation on the ${query.type} resource with ID ${itemQuery.id}`
                 );
                 error.name = 'CRUDBlockedError';
                 error.type = 'pre';
@@ -150,6 +206,22 @@ let AccessController = function (agServer, options) {
         if (channelResourceQuery.view != null && action.data && action.data.viewParams && typeof action.data.viewParams === 'object') {
           channelResourceQuery.viewParams = action.data.viewParams;
         }
+        // The cursor of the page which the client is subscribing to; this is only used for preloading.
+        if (channelResourceQuery.view != null && action.data) {
+          if (action.data.after != null) {
+            channelResourceQuery.after = action.data.after;
+          }
+          if (action.data.before != null) {
+            channelResourceQuery.before = action.data.before;
+          }
+          // Client filters and sort keys are not part of the channel name.
+          if (action.data.filters != null) {
+            channelResourceQuery.filters = action.data.filters;
+          }
+          if (action.data.sort != null) {
+            channelResourceQuery.sort = action.data.sort;
+          }
+        }
 
         try {
           validateQuery(channelResourceQuery, this.schema);
@@ -290,6 +362,7 @@ AccessController.prototype.applyPostAccessFilter = async function (req) {
 
     if (req.fetchResource) {
       let pageSize = query.pageSize ?? this.options.defaultPageSize;
+      let queryTimeout = getQueryTimeout(this.options, query.type, query.view);
 
       if (!this.schema[query.type]) {
         let error = new Error(`The ${query.type} model type is not supported - It is not part of the schema`);
@@ -301,24 +374,44 @@ AccessController.prototype.applyPostAccessFilter = async function (req) {
       if (query.id) {
         try {
           request.resource = await this.cache.pass(query, async () => {
-            return await this.rethink.table(query.type).get(query.id).run();
+            return await runRethinkQuery(this.rethink.table(query.type).get(query.id), queryTimeout);
           });
         } catch (error) {
           this.emit('error', {error});
+          if (error.name === 'CRUDQueryTimeoutError') {
+            throw error;
+          }
           throw new Error('Failed to preload resource due to an unexpected error');
         }
       } else {
         // For collections.
         try {
-          let rethinkQuery = constructTransformedRethinkQuery(this.options, this.rethink.table(query.type), query.type, query.view, query.viewParams);
-          if (query.offset) {
-            rethinkQuery = rethinkQuery.slice(query.offset, query.offset + pageSize).pluck('id');
+          let viewSchema = this.schema[query.type].views?.[query.view];
+          if (viewSchema?.aggregate) {
+            request.resource = await runRethinkQuery(
+              constructAggregateRethinkQuery(this.options, query.type, query.view, query.viewParams),
+              queryTimeout
+            );
+          } else if (viewSchema?.cursor) {
+            let {rethinkQuery, isReversed} = constructCursorRethinkQuery(this.options, query.type, query.view, query.viewParams, query);
+            request.resource = await runRethinkQuery(rethinkQuery.limit(pageSize).pluck('id'), queryTimeout);
+            if (isReversed) {
+              request.resource.reverse();
+            }
           } else {
-            rethinkQuery = rethinkQuery.limit(pageSize).pluck('id');
+            let rethinkQuery = constructTransformedRethinkQuery(this.options, this.rethink.table(query.type), query.type, query.view, query.viewParams, query);
+            if (query.offset) {
+              rethinkQuery = rethinkQuery.slice(query.offset, query.offset + pageSize).pluck('id');
+            } else {
+              rethinkQuery = rethinkQuery.limit(pageSize).pluck('id');
+            }
+            request.resource = await runRethinkQuery(rethinkQuery, queryTimeout);
           }
-          request.resource = await rethinkQuery.run();
         } catch (error) {
           this.emit('error', {error});
+          if (error.name === 'CRUDQueryTimeoutError') {
+            throw error;
+          }
           throw new Error('Executed an invalid query transformation');
         }
       }
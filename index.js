@@ -1,10 +1,33 @@
+const { randomUUID } = require('crypto');
 const rethinkdbdash = require('rethinkdbdash');
 const AccessController = require('./access-controller');
 const Cache = require('./cache');
 const AsyncStreamEmitter = require('async-stream-emitter');
 const jsonStableStringify = require('json-stable-stringify');
-const { constructTransformedRethinkQuery } = require('./query-transformer');
-const { validateQuery, createModelValidator, typeBuilder } = require('./validate');
+const {
+  constructTransformedRethinkQuery,
+  constructCursorRethinkQuery,
+  constructAggregateRethinkQuery,
+  aggregateOperations,
+  getAggregateFields,
+  getSearchFields,
+  getGeoParams,
+  viewFilterOperators,
+  getViewCursorFields,
+  getViewCursorPageInfo,
+  getQueryTimeout,
+  runRethinkQuery
+} = require('./query-transformer');
+const {
+  validateQuery,
+  createModelValidator,
+  createModelAsyncValidator,
+  createModelSerializer,
+  createModelJSONSchema,
+  createConstraintError,
+  TypeConstraint,
+  typeBuilder
+} = require('./validate');
 const errors = require('./errors');
 
 let AGCRUDRethink = function (options) {
@@ -17,20 +40,30 @@ let AGCRUDRethink = function (options) {
   }
 
   this.modelValidators = {};
+  this.modelAsyncValidators = {};
+  this.modelSerializers = {};
   this.schema = this.options.schema;
   this.rethink = rethinkdbdash(this.options.databaseOptions);
   this.options.rethink = this.rethink;
   this.maxErrorCount = this.options.maxErrorCount ?? 100;
   this.maxMultiPublish = this.options.maxMultiPublish ?? 20;
+  this.batchViewPublishes = !!this.options.batchViewPublishes;
 
   this.channelPrefix = 'crud>';
 
   if (!this.options.defaultPageSize) {
     this.options.defaultPageSize = 10;
   }
+
+  if (this.options.queryTimeout != null && !(this.options.queryTimeout > 0)) {
+    throw new Error('The queryTimeout option must be a positive number of milliseconds.');
+  }
   
   this._foreignViews = {};
   this._typeRelations = {};
+  this._referencingFields = {};
+  this._modelIncludes = {};
+  this._pendingAggregatePublishes = new Set();
 
   if (this.options.clientErrorMapper) {
     this.clientErrorMapper = this.options.clientErrorMapper;
@@ -43,10 +76,36 @@ let AGCRUDRethink = function (options) {
     let modelSchemaViews = modelSchema.views || {};
     let relations = modelSchema.relations || {};
 
+    if (modelSchema.queryTimeout != null && !(modelSchema.queryTimeout > 0)) {
+      throw new Error(`The queryTimeout of the ${modelName} model must be a positive number of milliseconds.`);
+    }
+
     for (let viewName of Object.keys(modelSchemaViews)) {
       let viewSchema = modelSchemaViews[viewName];
       let paramFields = viewSchema.paramFields || [];
 
+      if (viewSchema.cursor) {
+        this._verifyCursorViewSchema(modelName, viewName, viewSchema);
+      }
+
+      if (viewSchema.queryTimeout != null && !(viewSchema.queryTimeout > 0)) {
+        throw new Error(
+          `The queryTimeout of the ${viewName} view on the ${modelName} model must be a positive number of milliseconds.`
+        );
+      }
+      if (viewSchema.aggregate) {
+        this._verifyAggregateViewSchema(modelName, viewName, viewSchema);
+      }
+      if (viewSchema.search) {
+        this._verifySearchViewSchema(modelName, viewName, viewSchema);
+      }
+      if (viewSchema.geo) {
+        this._verifyGeoViewSchema(modelName, viewName, viewSchema);
+      }
+      if (viewSchema.filterable || viewSchema.sortable) {
+        this._verifyClientViewSchema(modelName, viewName, viewSchema);
+      }
+
       let foreignAffectingFieldsMap = viewSchema.foreignAffectingFields || {};
       for (let type of Object.keys(foreignAffectingFieldsMap)) {
         if (!this.schema[type]) {
@@ -111,11 +170,72 @@ let AGCRUDRethink = function (options) {
       }
     }
 
+    for (let [fieldName, constraint] of Object.entries(modelSchema.fields || {})) {
+      let refType = constraint.options.ref;
+      if (refType == null) {
+        continue;
+      }
+      if (!this.schema[refType]) {
+        throw new Error(
+          `The ${refType} model does not exist so it cannot be referenced by the ${
+            fieldName
+          } field on the ${modelName} model.`
+        );
+      }
+      let {onDelete} = constraint.options;
+      if (onDelete === 'nullify' && (!constraint.options.allowNull || constraint.options.immutable)) {
+        throw new Error(
+          `The ${fieldName} field on the ${modelName} model must allow null and must not be immutable in order to use the nullify onDelete action.`
+        );
+      }
+      if (!onDelete) {
+        continue;
+      }
+      if (!this._referencingFields[refType]) {
+        this._referencingFields[refType] = [];
+      }
+      this._referencingFields[refType].push({
+        type: modelName,
+        field: fieldName,
+        onDelete
+      });
+    }
+
+    let modelIncludes = {};
+    for (let [includeName, includeData] of Object.entries(modelSchema.includes || {})) {
+      // An include can be declared as the name of a ref field or as an object with
+      // a type and a field which holds the ID (or an array of IDs) of the related documents.
+      let {field, type} = typeof includeData === 'string' ? {field: includeData} : includeData;
+      let fieldConstraint = (modelSchema.fields || {})[field];
+      if (fieldConstraint == null) {
+        throw new Error(
+          `The ${field} field does not exist on the ${modelName} model so it cannot be used by the ${includeName} include.`
+        );
+      }
+      type = type || fieldConstraint.options.ref;
+      if (!this.schema[type]) {
+        throw new Error(
+          `The ${includeName} include on the ${modelName} model must refer to an existing model type.`
+        );
+      }
+      modelIncludes[includeName] = {type, field};
+    }
+    this._modelIncludes[modelName] = modelIncludes;
+
     this.modelValidators[modelName] = createModelValidator(
       modelName,
       modelSchema.fields,
       { maxErrorCount: this.maxErrorCount }
     );
+    this.modelAsyncValidators[modelName] = createModelAsyncValidator(
+      modelName,
+      modelSchema.fields,
+      {
+        maxErrorCount: this.maxErrorCount,
+        validate: modelSchema.validate
+      }
+    );
+    this.modelSerializers[modelName] = createModelSerializer(modelSchema.fields);
   }
 
   this.options.modelValidators = this.modelValidators;
@@ -225,6 +345,13 @@ AGCRUDRethink.prototype.init = async function () {
           if (!activeIndexesSet.has(indexData.name) || indexesToBuildSet.has(indexData.name)) {
             if (indexData.type === 'compound') {
               await this.rethink.table(modelName).indexCreate(indexData.name, indexData.fn(this.rethink)).run();
+            } else if (indexData.type === 'geo') {
+              let geoIndexOptions = {...indexData.options, geo: true};
+              if (indexData.fn) {
+                await this.rethink.table(modelName).indexCreate(indexData.name, indexData.fn, geoIndexOptions).run();
+              } else {
+                await this.rethink.table(modelName).indexCreate(indexData.name, geoIndexOptions).run();
+              }
             } else {
               await this.rethink.table(modelName).indexCreate(indexData.name, indexData.fn, indexData.options).run();
             }
@@ -254,6 +381,21 @@ AGCRUDRethink.prototype._handleResourceChange = function (resource) {
   this.cache.clear(resource);
 };
 
+// Clear cached resources when they are modified.
+AGCRUDRethink.prototype._watchResourceChannel = function (resource) {
+  let resourceChannelName = this._getResourceChannelName(resource);
+  let isSubscribedToResourceChannel = this.agServer.exchange.isSubscribed(resourceChannelName, true);
+
+  if (!isSubscribedToResourceChannel) {
+    let resourceChannel = this.agServer.exchange.subscribe(resourceChannelName);
+    (async () => {
+      for await (let resourceData of resourceChannel) {
+        this._handleResourceChange(resource);
+      }
+    })();
+  }
+};
+
 AGCRUDRethink.prototype._mapResourceField = function (fieldName, resource, sourceType, targetType) {
   if (
     this._typeRelations[sourceType] &&
@@ -271,6 +413,125 @@ AGCRUDRethink.prototype._mapResourceField = function (fieldName, resource, sourc
   };
 };
 
+AGCRUDRethink.prototype._getReferencingFields = function (type) {
+  return this._referencingFields[type] || [];
+};
+
+// Uses a secondary index with the same name as the field if one is declared.
+AGCRUDRethink.prototype._getReferencingDocumentsQuery = function (referencingField, id) {
+  let {type, field} = referencingField;
+  let indexes = this.schema[type].indexes || [];
+  let hasFieldIndex = indexes.some(
+    (indexData) => indexData === field || (indexData && indexData.name === field && !indexData.fn)
+  );
+  let table = this.rethink.table(type);
+  if (hasFieldIndex) {
+    return table.getAll(id, {index: field});
+  }
+  return table.filter(this.rethink.row(field).eq(id));
+};
+
+// Restrictions are checked over the whole cascade tree before anything is deleted
+// so that a restricted descendant cannot leave behind a partial cascade.
+AGCRUDRethink.prototype._enforceDeleteRestrictions = async function (query, visitedResourceKeys) {
+  visitedResourceKeys = visitedResourceKeys || new Set();
+  visitedResourceKeys.add(`${query.type}/${query.id}`);
+
+  for (let referencingField of this._getReferencingFields(query.type)) {
+    if (referencingField.onDelete === 'cascade') {
+      let referencingDocuments = await this._getReferencingDocumentsQuery(referencingField, query.id)
+        .pluck('id')
+        .run();
+      for (let {id} of referencingDocuments) {
+        if (!visitedResourceKeys.has(`${referencingField.type}/${id}`)) {
+          await this._enforceDeleteRestrictions({type: referencingField.type, id}, visitedResourceKeys);
+        }
+      }
+      continue;
+    }
+    if (referencingField.onDelete !== 'restrict') {
+      continue;
+    }
+    let referencingCount = await this._getReferencingDocumentsQuery(referencingField, query.id).count().run();
+    if (referencingCount > 0) {
+      let error = new Error(
+        `Cannot delete the ${query.type} resource with ID ${query.id} because it is referenced by the ${
+          referencingField.field
+        } field of ${referencingCount} ${referencingField.type} document${referencingCount === 1 ? '' : 's'}`
+      );
+      error.name = 'CRUDInvalidOperation';
+      throw error;
+    }
+  }
+};
+
+// Referencing documents are deleted or updated through the server-side API so that
+// the usual real-time notifications are published for each one of them.
+AGCRUDRethink.prototype._applyDeleteReferenceActions = async function (query) {
+  for (let referencingField of this._getReferencingFields(query.type)) {
+    let {type, field, onDelete} = referencingField;
+    if (onDelete !== 'cascade' && onDelete !== 'nullify') {
+      continue;
+    }
+    let referencingDocuments = await this._getReferencingDocumentsQuery(referencingField, query.id)
+      .pluck('id')
+      .run();
+    for (let {id} of referencingDocuments) {
+      if (onDelete === 'cascade') {
+        await this._delete({type, id});
+      } else {
+        await this._update({type, id, field, value: null});
+      }
+    }
+  }
+};
+
+AGCRUDRethink.prototype._getIncludeFields = function (query) {
+  let modelIncludes = this._modelIncludes[query.type] || {};
+  return (query.include || []).map((includeName) => modelIncludes[includeName].field);
+};
+
+// Related documents are read through _readMany so they go through the cache and
+// through the post access filter of their own model; blocked documents are omitted.
+AGCRUDRethink.prototype._readIncludedResources = async function (query, sourceResources, socket) {
+  let modelIncludes = this._modelIncludes[query.type] || {};
+  let relatedIdsMap = {};
+
+  for (let includeName of query.include) {
+    let {type, field} = modelIncludes[includeName];
+    for (let resource of sourceResources) {
+      if (resource == null || !this._isModelFieldVisible(query.type, field, socket, resource)) {
+        continue;
+      }
+      let fieldValue = resource[field];
+      let relatedIds = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+      for (let id of relatedIds) {
+        if (typeof id !== 'string') {
+          continue;
+        }
+        if (!relatedIdsMap[type]) {
+          relatedIdsMap[type] = new Set();
+        }
+        relatedIdsMap[type].add(id);
+      }
+    }
+  }
+
+  let included = {};
+  await Promise.all(
+    Object.entries(relatedIdsMap).map(async ([type, relatedIdsSet]) => {
+      let relatedResources = await this._readMany({type, ids: [...relatedIdsSet]}, socket);
+      included[type] = {};
+      for (let [id, resource] of Object.entries(relatedResources)) {
+        if (resource != null) {
+          included[type][id] = resource;
+        }
+      }
+    })
+  );
+  return included;
+};
+
 AGCRUDRethink.prototype._getForeignViews = function (type) {
   return this._foreignViews[type] || {};
 };
@@ -290,6 +551,9 @@ AGCRUDRethink.prototype._getView = function (type, viewName) {
   return modelViews[viewName];
 };
 
+// Client filters and sort keys are not part of the view channel name; all filtered
+// variants of a view share the same channel and the filterable and sortable fields
+// are treated as affecting fields so that subscribers are notified of relevant changes.
 AGCRUDRethink.prototype._getViewChannelName = function (viewName, viewParams, type) {
   let primaryParams;
   let viewSchema = this._getView(type, viewName);
@@ -301,17 +565,219 @@ AGCRUDRethink.prototype._getViewChannelName = function (viewName, viewParams, ty
       primaryParams[field] = viewParams[field] === undefined ? null : viewParams[field];
     }
   } else {
-    primaryParams = viewParams || {};
+    primaryParams = {...viewParams};
+    if (viewSchema) {
+      for (let field of this._getViewQueryParamFields(viewSchema)) {
+        delete primaryParams[field];
+      }
+    }
   }
   if (!this.options.typedViewChannelParams) {
     for (let [key, value] of Object.entries(primaryParams)) {
-      primaryParams[key] = String(value);
+      primaryParams[key] = value instanceof Date ? value.toISOString() : String(value);
     }
   }
   let viewPrimaryParamsString = jsonStableStringify(primaryParams);
   return this.channelPrefix + viewName + '(' + viewPrimaryParamsString + '):' + type;
 };
 
+// The cursor key must be unique; otherwise documents which share the key of the
+// last document on a page would be skipped. Unless the cursor index is the primary
+// key, it must be a compound index whose fields end with id.
+AGCRUDRethink.prototype._verifyCursorViewSchema = function (modelName, viewName, viewSchema) {
+  let viewDescription = `${viewName} view on the ${modelName} model`;
+  let {index, fields} = viewSchema.cursor;
+  if (typeof index !== 'string') {
+    throw new Error(`The cursor of the ${viewDescription} must have an index property which is a string.`);
+  }
+  if (fields == null) {
+    if (index !== 'id') {
+      throw new Error(
+        `The cursor of the ${viewDescription} must have a fields property which lists the fields of the ${
+          index
+        } index ending with id - A single field cursor is only supported on the id index.`
+      );
+    }
+    return;
+  }
+  if (!Array.isArray(fields) || !fields.length || fields[fields.length - 1] !== 'id') {
+    throw new Error(
+      `The fields property of the cursor of the ${viewDescription} must be a non-empty array whose last item is id.`
+    );
+  }
+  let modelFields = this.schema[modelName].fields || {};
+  for (let field of fields) {
+    if (field !== 'id' && !modelFields.hasOwnProperty(field)) {
+      throw new Error(`The ${field} cursor field of the ${viewDescription} does not exist on the model.`);
+    }
+  }
+};
+
+AGCRUDRethink.prototype._verifyAggregateViewSchema = function (modelName, viewName, viewSchema) {
+  let viewDescription = `${viewName} aggregate view on the ${modelName} model`;
+  if (viewSchema.cursor) {
+    throw new Error(`The ${viewDescription} cannot declare a cursor.`);
+  }
+  // The aggregate is recomputed and published as a whole so subscribers to the same
+  // channel must not be able to read it with different viewParams.
+  let paramFields = viewSchema.paramFields || [];
+  let primaryFields = viewSchema.primaryFields || paramFields;
+  if (paramFields.some((field) => !primaryFields.includes(field))) {
+    throw new Error(`The ${viewDescription} must use all of its paramFields as primaryFields.`);
+  }
+  let metrics = viewSchema.aggregate.metrics;
+  if (metrics == null || typeof metrics !== 'object' || !Object.keys(metrics).length) {
+    throw new Error(`The ${viewDescription} must declare at least one metric.`);
+  }
+  for (let [metricName, metric] of Object.entries(metrics)) {
+    if (!aggregateOperations.includes(metric.op)) {
+      throw new Error(
+        `The ${metricName} metric of the ${viewDescription} must have an op property which is one of: ${aggregateOperations.join(', ')}.`
+      );
+    }
+    if (metric.op !== 'count' && typeof metric.field !== 'string') {
+      throw new Error(`The ${metricName} metric of the ${viewDescription} must have a field property which is a string.`);
+    }
+  }
+};
+
+AGCRUDRethink.prototype._verifySearchViewSchema = function (modelName, viewName, viewSchema) {
+  let viewDescription = `${viewName} search view on the ${modelName} model`;
+  let {search} = viewSchema;
+  if (viewSchema.cursor) {
+    throw new Error(`The ${viewDescription} cannot declare a cursor.`);
+  }
+  if (typeof search.param !== 'string' || !(viewSchema.paramFields || []).includes(search.param)) {
+    throw new Error(`The ${viewDescription} must have a param property which refers to one of its paramFields.`);
+  }
+  if ((viewSchema.primaryFields || []).includes(search.param)) {
+    throw new Error(`The ${viewDescription} cannot use its ${search.param} search param as a primaryField.`);
+  }
+  let searchFields = search.fields == null ? [] : getSearchFields(search);
+  if (!searchFields.length) {
+    throw new Error(`The ${viewDescription} must declare at least one search field.`);
+  }
+  let modelFields = this.schema[modelName].fields || {};
+  for (let field of searchFields) {
+    if (!modelFields[field]) {
+      throw new Error(`The ${field} search field of the ${viewDescription} does not exist on the model.`);
+    }
+  }
+  if (search.index != null) {
+    let indexes = this.schema[modelName].indexes || [];
+    let hasIndex = indexes.some(
+      (indexData) => indexData === search.index || (indexData && indexData.name === search.index)
+    );
+    if (typeof search.index !== 'string' || !hasIndex) {
+      throw new Error(`The index property of the ${viewDescription} must refer to one of the indexes of the model.`);
+    }
+    if (viewSchema.geo) {
+      throw new Error(`The ${viewDescription} cannot declare both a search index and a geo index.`);
+    }
+  }
+};
+
+AGCRUDRethink.prototype._verifyGeoViewSchema = function (modelName, viewName, viewSchema) {
+  let viewDescription = `${viewName} geo view on the ${modelName} model`;
+  let {geo} = viewSchema;
+  if (viewSchema.cursor) {
+    throw new Error(`The ${viewDescription} cannot declare a cursor.`);
+  }
+  if (typeof geo.index !== 'string') {
+    throw new Error(`The ${viewDescription} must have an index property which refers to a geo index.`);
+  }
+  if (geo.mode != null && geo.mode !== 'nearest' && geo.mode !== 'intersecting') {
+    throw new Error(`The mode of the ${viewDescription} must be either nearest or intersecting.`);
+  }
+  let field = geo.field || geo.index;
+  if (!(this.schema[modelName].fields || {}).hasOwnProperty(field)) {
+    throw new Error(`The ${field} location field of the ${viewDescription} does not exist on the model.`);
+  }
+  let paramFields = viewSchema.paramFields || [];
+  let primaryFields = viewSchema.primaryFields || [];
+  for (let param of Object.values(getGeoParams(geo))) {
+    if (!paramFields.includes(param)) {
+      throw new Error(`The ${viewDescription} must have a ${param} param in its paramFields.`);
+    }
+    if (primaryFields.includes(param)) {
+      throw new Error(`The ${viewDescription} cannot use its ${param} geo param as a primaryField.`);
+    }
+  }
+};
+
+// Params which only affect the query of the view (e.g. search text or coordinates)
+// are not part of the view channel name; this way, changes to documents can be
+// published to all open queries of the view.
+AGCRUDRethink.prototype._getViewQueryParamFields = function (viewSchema) {
+  let queryParamFields = [];
+  if (viewSchema.search) {
+    queryParamFields.push(viewSchema.search.param);
+  }
+  if (viewSchema.geo) {
+    queryParamFields.push(...Object.values(getGeoParams(viewSchema.geo)));
+  }
+  return queryParamFields;
+};
+
+AGCRUDRethink.prototype._verifyClientViewSchema = function (modelName, viewName, viewSchema) {
+  let viewDescription = `${viewName} view on the ${modelName} model`;
+  let modelFields = this.schema[modelName].fields || {};
+  let isModelField = (field) => field === 'id' || modelFields.hasOwnProperty(field);
+
+  if (viewSchema.aggregate) {
+    throw new Error(`The ${viewDescription} is an aggregate view so it cannot declare filterable or sortable fields.`);
+  }
+  for (let [field, operators] of Object.entries(viewSchema.filterable || {})) {
+    if (!isModelField(field)) {
+      throw new Error(`The ${field} filterable field of the ${viewDescription} does not exist on the model.`);
+    }
+    if (!Array.isArray(operators) || operators.some((op) => !viewFilterOperators.includes(op))) {
+      throw new Error(
+        `The operators of the ${field} filterable field of the ${viewDescription} must be an array containing any of: ${viewFilterOperators.join(', ')}.`
+      );
+    }
+  }
+  if (viewSchema.sortable) {
+    // Cursor pagination relies on the order of the cursor index.
+    if (viewSchema.cursor) {
+      throw new Error(`The ${viewDescription} declares a cursor so it cannot declare sortable fields.`);
+    }
+    if (!Array.isArray(viewSchema.sortable)) {
+      throw new Error(`The sortable property of the ${viewDescription} must be an array.`);
+    }
+    for (let field of viewSchema.sortable) {
+      if (!isModelField(field)) {
+        throw new Error(`The ${field} sortable field of the ${viewDescription} does not exist on the model.`);
+      }
+    }
+    if (viewSchema.maxSortSize != null && !(Number.isInteger(viewSchema.maxSortSize) && viewSchema.maxSortSize > 0)) {
+      throw new Error(`The maxSortSize of the ${viewDescription} must be a positive integer.`);
+    }
+  }
+};
+
+// Fields which don't determine the view channel but which can affect the content
+// of the view; changes to these fields need to be published to the view channel.
+AGCRUDRethink.prototype._getViewAffectingFields = function (viewSchema) {
+  let affectingFields = viewSchema.affectingFields || [];
+  if (viewSchema.aggregate) {
+    affectingFields = [...affectingFields, ...getAggregateFields(viewSchema.aggregate)];
+  }
+  if (viewSchema.search) {
+    affectingFields = [...affectingFields, ...getSearchFields(viewSchema.search)];
+  }
+  if (viewSchema.geo) {
+    affectingFields = [...affectingFields, viewSchema.geo.field || viewSchema.geo.index];
+  }
+  if (viewSchema.filterable) {
+    affectingFields = [...affectingFields, ...Object.keys(viewSchema.filterable)];
+  }
+  if (viewSchema.sortable) {
+    affectingFields = [...affectingFields, ...viewSchema.sortable];
+  }
+  return affectingFields;
+};
+
 AGCRUDRethink.prototype._areObjectsEqual = function (objectA, objectB) {
   let objectStringA = jsonStableStringify(objectA || {});
   let objectStringB = jsonStableStringify(objectB || {});
@@ -322,7 +788,80 @@ AGCRUDRethink.prototype._isModelFieldMulti = function (type, field) {
   return this.schema[type]?.fields?.[field]?.options?.multi || false;
 };
 
-AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, otherViewData) {
+AGCRUDRethink.prototype._isModelFieldArray = function (type, field) {
+  return !!this.schema[type]?.fields?.[field]?.validators?.array;
+};
+
+// The values of non-public fields are never published on field channels.
+AGCRUDRethink.prototype._isModelFieldPublic = function (type, field) {
+  let fieldOptions = this.schema[type]?.fields?.[field]?.options || {};
+  return !fieldOptions.hidden && !fieldOptions.visibleTo;
+};
+
+// If socket does not exist, then the read comes from the server-side
+// and all fields are visible.
+AGCRUDRethink.prototype._isModelFieldVisible = function (type, field, socket, resource) {
+  if (!socket) {
+    return true;
+  }
+  let fieldOptions = this.schema[type]?.fields?.[field]?.options || {};
+  if (fieldOptions.hidden) {
+    return false;
+  }
+  // A missing resource has no value to hide so the read returns null as usual.
+  if (fieldOptions.visibleTo && resource != null) {
+    return !!fieldOptions.visibleTo(socket.authToken, resource);
+  }
+  return true;
+};
+
+AGCRUDRethink.prototype._verifyModelFieldVisibility = function (query, field, socket, resource) {
+  if (!this._isModelFieldVisible(query.type, field, socket, resource)) {
+    let error = new Error(
+      `You are not permitted to read the ${field} field of the ${query.type} resource with ID ${query.id}`
+    );
+    error.name = 'CRUDBlockedError';
+    error.type = 'post';
+    throw error;
+  }
+};
+
+// Field values are published in the same format in which they are read.
+AGCRUDRethink.prototype._serializeFieldValue = function (type, field, value) {
+  let modelSerializer = this.modelSerializers[type];
+  if (!modelSerializer) {
+    return value;
+  }
+  return modelSerializer({[field]: value})[field];
+};
+
+AGCRUDRethink.prototype._projectResource = function (type, resource, fields) {
+  if (resource == null) {
+    return null;
+  }
+  return this.modelSerializers[type](
+    Object.fromEntries(
+      fields.map((field) => [ field, resource[field] === undefined ? null : resource[field] ])
+    )
+  );
+};
+
+AGCRUDRethink.prototype._removeHiddenFields = function (type, resource, socket) {
+  if (resource == null) {
+    return resource;
+  }
+  let visibleResource = {};
+  for (let [field, value] of Object.entries(resource)) {
+    if (this._isModelFieldVisible(type, field, socket, resource)) {
+      visibleResource[field] = value;
+    }
+  }
+  return visibleResource;
+};
+
+// If a viewPublishBatch is provided, operations which affect a single document are
+// collected in it instead of being published immediately.
+AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, otherViewData, viewPublishBatch) {
   let viewSchema = this._getView(viewData.type, viewData.view);
   if (!viewSchema || viewSchema.disableRealtime) return;
   let paramsVariants = [];
@@ -330,7 +869,12 @@ AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, o
   
   let otherParams = otherViewData?.params || {};
   let otherMultiParams = {};
+  let otherArrayParams = {};
   for (let [field, value] of Object.entries(otherParams)) {
+    if (Array.isArray(value) && this._isModelFieldArray(viewData.type, field)) {
+      otherArrayParams[field] = new Set(value.map(String));
+      continue;
+    }
     if (typeof value !== 'string') continue;
     if (this._isModelFieldMulti(viewData.type, field)) {
       otherMultiParams[field] = Object.fromEntries(
@@ -351,6 +895,17 @@ AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, o
       paramsClone[field] = 'false';
       paramsVariants.push(paramsClone);
     }
+    // Like multi fields, array fields are published to the channel of each of their items.
+    if (Array.isArray(value) && this._isModelFieldArray(viewData.type, field)) {
+      if (value.length > 1) {
+        for (let item of value) {
+          if (!otherArrayParams[field]?.has(String(item))) {
+            paramsVariants.push({...params, [field]: item});
+          }
+        }
+      }
+      continue;
+    }
     if (typeof value !== 'string') continue;
     if (this._isModelFieldMulti(viewData.type, field)) {
       let multiParts = value.split(',');
@@ -372,7 +927,11 @@ AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, o
     if (i > this.maxMultiPublish) break;
     let viewParams = paramsVariants[i];
     let viewChannelName = this._getViewChannelName(viewData.view, viewParams, viewData.type);
-    if (operation === undefined) {
+    if (viewSchema.aggregate) {
+      this._publishAggregateView(viewData, viewParams, viewChannelName);
+    } else if (viewPublishBatch && operation?.value?.id != null) {
+      this._addToViewPublishBatch(viewPublishBatch, viewChannelName, operation);
+    } else if (operation === undefined) {
       this.publish(viewChannelName);
     } else {
       this.publish(viewChannelName, operation);
@@ -380,7 +939,72 @@ AGCRUDRethink.prototype._publishToViewChannel = function (viewData, operation, o
   }
 };
 
-AGCRUDRethink.prototype._publishViewUpdates = async function (query, newResource, oldResource) {
+AGCRUDRethink.prototype._addToViewPublishBatch = function (viewPublishBatch, viewChannelName, operation) {
+  if (!viewPublishBatch[operation.type]) {
+    viewPublishBatch[operation.type] = {};
+  }
+  let channelIds = viewPublishBatch[operation.type];
+  if (!channelIds[viewChannelName]) {
+    channelIds[viewChannelName] = new Set();
+  }
+  channelIds[viewChannelName].add(operation.value.id);
+};
+
+// By default, each affected document is published to a view channel once per batch
+// with the usual {id} value. If the batchViewPublishes option is enabled, each view
+// channel instead gets a single publish which contains the IDs of all the affected
+// documents as an ids array.
+AGCRUDRethink.prototype._flushViewPublishBatch = function (viewPublishBatch) {
+  for (let [operationType, channelIds] of Object.entries(viewPublishBatch)) {
+    for (let [viewChannelName, ids] of Object.entries(channelIds)) {
+      if (this.batchViewPublishes) {
+        this.publish(viewChannelName, {
+          type: operationType,
+          value: {
+            ids: [...ids]
+          }
+        });
+        continue;
+      }
+      for (let id of ids) {
+        this.publish(viewChannelName, {
+          type: operationType,
+          value: {
+            id
+          }
+        });
+      }
+    }
+  }
+};
+
+// Aggregate views are recomputed and published as a whole. If a view is affected by
+// several changes in quick succession, it will only be recomputed once.
+AGCRUDRethink.prototype._publishAggregateView = async function (viewData, viewParams, viewChannelName) {
+  if (!this.agServer || this._pendingAggregatePublishes.has(viewChannelName)) {
+    return;
+  }
+  this._pendingAggregatePublishes.add(viewChannelName);
+  await new Promise((resolve) => setImmediate(resolve));
+  this._pendingAggregatePublishes.delete(viewChannelName);
+
+  let rows;
+  try {
+    rows = await runRethinkQuery(
+      constructAggregateRethinkQuery(this.options, viewData.type, viewData.view, viewParams),
+      getQueryTimeout(this.options, viewData.type, viewData.view)
+    );
+  } catch (error) {
+    this.emit('error', {error});
+    return;
+  }
+  this.publish(viewChannelName, {
+    type: 'aggregate',
+    value: rows
+  });
+};
+
+AGCRUDRethink.prototype._publishViewUpdates = async function (query, newResource, oldResource, viewPublishBatch) {
   let oldAffectedViewData = this.getQueryAffectedViews(query, oldResource);
 
   let oldViewDataMap = {};
@@ -403,7 +1027,7 @@ AGCRUDRethink.prototype._publishViewUpdates = async function (query, newResource
           value: {
             id: query.id
           }
-        });
+        }, undefined, viewPublishBatch);
       }
     } else {
       this._publishToViewChannel(oldViewData, {
@@ -411,13 +1035,13 @@ AGCRUDRethink.prototype._publishViewUpdates = async function (query, newResource
         value: {
           id: query.id
         }
-      }, viewData);
+      }, viewData, viewPublishBatch);
       this._publishToViewChannel(viewData, {
         type: 'update',
         value: {
           id: query.id
         }
-      }, oldViewData);
+      }, oldViewData, viewPublishBatch);
     }
   }
 };
@@ -485,7 +1109,11 @@ AGCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
     let viewName = viewData.name;
     let viewSchema = viewData.schema;
     let paramFields = viewSchema.paramFields || [];
-    let affectingFields = viewSchema.affectingFields || [];
+    let affectingFields = this._getViewAffectingFields(viewSchema);
+    let queryParamFields = this._getViewQueryParamFields(viewSchema);
+    if (queryParamFields.length) {
+      paramFields = paramFields.filter((fieldName) => !queryParamFields.includes(fieldName));
+    }
 
     let params = {};
     let affectingData = {};
@@ -553,8 +1181,30 @@ AGCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
   return affectedViews;
 };
 
+// Values of object-like fields are wrapped in r.literal() so that keys which are
+// no longer part of the value are removed from the stored document.
+AGCRUDRethink.prototype._getUpdateDbRecord = function (type, record) {
+  let modelFields = this.schema[type].fields || {};
+  let updateRecord = {...record};
+  for (let [field, value] of Object.entries(record)) {
+    let constraint = modelFields[field];
+    if (
+      constraint &&
+      constraint.isReplacedOnUpdate() &&
+      value != null &&
+      typeof value === 'object' &&
+      !(value instanceof Date)
+    ) {
+      updateRecord[field] = this.rethink.literal(value);
+    }
+  }
+  return updateRecord;
+};
+
 AGCRUDRethink.prototype._updateDb = async function (type, id, record) {
-  let result = await this.rethink.table(type).get(id).update(record, {returnChanges: true}).run();
+  let result = await this.rethink.table(type).get(id)
+    .update(this._getUpdateDbRecord(type, record), {returnChanges: true})
+    .run();
   if (result.errors) {
     throw errors.create(result.first_error);
   }
@@ -626,10 +1276,13 @@ AGCRUDRethink.prototype.notifyResourceUpdate = function (updateDetails) {
       if (typeof fieldValue === 'function') {
         // Do not publish raw RethinkDB predicates or functions.
         this.publish(resourcePropertyChannelName);
+      } else if (!this._isModelFieldPublic(updateDetails.type, fieldName)) {
+        // Notify subscribers without exposing the value of a hidden field.
+        this.publish(resourcePropertyChannelName);
       } else {
         this.publish(resourcePropertyChannelName, {
           type: 'update',
-          value: fieldValue
+          value: this._serializeFieldValue(updateDetails.type, fieldName, fieldValue)
         });
       }
     }
@@ -786,11 +1439,59 @@ AGCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
   }
 };
 
+// Convert the schema of one model (or of all models if the type is omitted)
+// into JSON Schema documents so that clients can reuse the same constraints.
+// Views are listed under a non-standard views property along with a JSON Schema
+// for their viewParams.
+AGCRUDRethink.prototype.getJSONSchema = function (type) {
+  if (type != null) {
+    if (!this.schema[type]) {
+      let error = new Error(`The ${type} model type is not supported - It is not part of the schema`);
+      error.name = 'CRUDInvalidModelType';
+      throw error;
+    }
+    return this._getModelJSONSchema(type);
+  }
+  return Object.fromEntries(
+    Object.keys(this.schema).map((modelName) => [ modelName, this._getModelJSONSchema(modelName) ])
+  );
+};
+
+AGCRUDRethink.prototype._getModelJSONSchema = function (type) {
+  let modelFields = this.schema[type].fields || {};
+  let jsonSchema = createModelJSONSchema(type, modelFields);
+  let views = {};
+  for (let [viewName, viewSchema] of Object.entries(this._getViews(type))) {
+    let paramFields = viewSchema.paramFields || [];
+    let primaryFields = viewSchema.primaryFields || [];
+    let viewParamsProperties = {};
+    for (let field of paramFields) {
+      viewParamsProperties[field] = modelFields[field] ? modelFields[field].toJSONSchema() : {};
+    }
+    views[viewName] = {
+      paramFields,
+      primaryFields,
+      viewParams: {
+        type: 'object',
+        properties: viewParamsProperties,
+        required: primaryFields
+      }
+    };
+  }
+  jsonSchema.views = views;
+  return jsonSchema;
+};
+
 // Add a new document to a collection. This will send a change notification to each
 // affected view (taking into account the affected page number within each view).
 // This allows views to update themselves on the front-end in real-time.
+// If the query has a batch property, multiple documents are created at once;
+// see _createBatch.
 AGCRUDRethink.prototype.create = async function (query, socket) {
   this._validateQuery({action: 'create', ...query});
+  if (query.batch) {
+    return this._createBatch(query, socket);
+  }
   return this._create(query, socket);
 };
 
@@ -808,7 +1509,16 @@ AGCRUDRethink.prototype._create = async function (query, socket) {
       error.name = 'CRUDInvalidParams';
       throw error;
     }
-    query.value = modelValidator(query.value);
+    query.value = modelValidator(query.value, false, false, {
+      query,
+      authToken: socket && socket.authToken
+    });
+    await this.modelAsyncValidators[query.type](query.value, {
+      r: this.rethink,
+      record: query.value,
+      query,
+      authToken: socket && socket.authToken
+    });
 
     let result = await this.rethink.table(query.type)
       .insert(query.value, {returnChanges: true})
@@ -843,8 +1553,13 @@ AGCRUDRethink.prototype._create = async function (query, socket) {
   }
 };
 
-// Read either a collection of IDs, a single document or a single field
-// within a document. To achieve efficient field-level granularity, a cache is used.
+// Read either a collection of IDs, a single document, a subset of fields or
+// a single field within a document. If the query has an include property, related
+// documents are side-loaded under an included property which maps each related
+// type to a map of documents by ID; in this case, results of document reads are
+// placed under a data property. View reads with the includeDocuments flag also return
+// the documents of the page (or the requested fields) under a documents property.
+// To achieve efficient field-level granularity, a cache is used.
 // A cache entry will automatically get cleared when ag-crud-rethink detects
 // a real-time change to a field which is cached.
 AGCRUDRethink.prototype.read = async function (query, socket) {
@@ -863,40 +1578,60 @@ AGCRUDRethink.prototype._read = async function (query, socket) {
 
   let data;
   let count;
+  let viewCursor;
+  let isReversedPage = false;
+  let isAggregateView = !!(query.view && this._getView(query.type, query.view)?.aggregate);
+  let queryTimeout = getQueryTimeout(this.options, query.type, query.view);
 
-  if (query.id) {
-    let resourceChannelName = this._getResourceChannelName(query);
-    let isSubscribedToResourceChannel = this.agServer.exchange.isSubscribed(resourceChannelName, true);
+  if (query.ids) {
+    return this._readMany(query, socket);
+  }
 
-    if (!isSubscribedToResourceChannel) {
-      let resourceChannel = this.agServer.exchange.subscribe(resourceChannelName);
-      (async () => {
-        for await (let resourceData of resourceChannel) {
-          this._handleResourceChange(query);
-        }
-      })();
-    }
+  if (query.id) {
+    this._watchResourceChannel(query);
 
     data = await this.cache.pass(query, async () => {
-      return await this.rethink.table(query.type).get(query.id).run();
+      return await runRethinkQuery(this.rethink.table(query.type).get(query.id), queryTimeout);
     });
+  } else if (isAggregateView) {
+    data = await runRethinkQuery(
+      constructAggregateRethinkQuery(this.options, query.type, query.view, query.viewParams),
+      queryTimeout
+    );
   } else {
-    let rethinkQuery = constructTransformedRethinkQuery(this.options, this.rethink.table(query.type), query.type, query.view, query.viewParams);
+    let rethinkQuery = constructTransformedRethinkQuery(this.options, this.rethink.table(query.type), query.type, query.view, query.viewParams, query);
 
     let tasks = [];
-
-    if (query.offset) {
-      tasks.push(
-        rethinkQuery.slice(query.offset, query.offset + pageSize + 1).pluck('id').run()
-      );
+    viewCursor = this._getView(query.type, query.view)?.cursor;
+    let viewFields = new Set(['id', ...this._getIncludeFields(query)]);
+    let pageQuery;
+
+    if (viewCursor) {
+      let cursorQueryData = constructCursorRethinkQuery(this.options, query.type, query.view, query.viewParams, query);
+      isReversedPage = cursorQueryData.isReversed;
+      for (let field of getViewCursorFields(viewCursor)) {
+        viewFields.add(field);
+      }
+      pageQuery = cursorQueryData.rethinkQuery.limit(pageSize + 1);
+    } else if (query.offset) {
+      pageQuery = rethinkQuery.slice(query.offset, query.offset + pageSize + 1);
     } else {
-      tasks.push(
-        rethinkQuery.limit(pageSize + 1).pluck('id').run()
-      );
+      pageQuery = rethinkQuery.limit(pageSize + 1);
     }
+    // Whole documents are needed in order to fill the cache and in order to evaluate
+    // the visibleTo predicates of included fields.
+    let hasVisibleToIncludeFields = this._getIncludeFields(query).some(
+      (field) => !!this.schema[query.type].fields?.[field]?.options?.visibleTo
+    );
+    if (!query.includeDocuments && !hasVisibleToIncludeFields) {
+      pageQuery = pageQuery.pluck(...viewFields);
+    }
+    tasks.push(
+      runRethinkQuery(pageQuery, queryTimeout)
+    );
     if (query.getCount) {
       tasks.push(
-        rethinkQuery.count().run()
+        runRethinkQuery(rethinkQuery.count(), queryTimeout)
       );
     }
 
@@ -926,35 +1661,68 @@ AGCRUDRethink.prototype._read = async function (query, socket) {
 
   let result;
   if (query.id) {
+    let modelSerializer = this.modelSerializers[query.type];
     if (query.field) {
+      this._verifyModelFieldVisibility(query, query.field, socket, data);
       if (data == null) {
         data = {};
       }
-      result = data[query.field];
+      result = modelSerializer({[query.field]: data[query.field]})[query.field];
       if (typeof result === 'string' && query.sliceTo != null) {
         result = result.slice(0, query.sliceTo);
       }
+    } else if (query.fields) {
+      for (let field of query.fields) {
+        this._verifyModelFieldVisibility(query, field, socket, data);
+      }
+      result = this._projectResource(query.type, data, query.fields);
     } else {
-      result = data;
+      result = this._removeHiddenFields(query.type, modelSerializer(data), socket);
+    }
+    if (query.include) {
+      result = {
+        data: result === undefined ? null : result,
+        included: await this._readIncludedResources(query, [data], socket)
+      };
     }
+  } else if (isAggregateView) {
+    result = {
+      data
+    };
   } else {
-    let documentList = [];
-    let resultCount = Math.min(data.length, pageSize);
-
-    for (let i = 0; i < resultCount; i++) {
-      documentList.push(data[i].id || null);
+    let hasMoreDocuments = data.length > pageSize;
+    let pageData = data.slice(0, pageSize);
+    if (isReversedPage) {
+      pageData.reverse();
     }
     result = {
-      data: documentList
+      data: pageData.map((document) => document.id || null)
     };
 
     if (query.getCount) {
       result.count = count;
     }
 
-    if (data.length < pageSize + 1) {
+    if (viewCursor) {
+      Object.assign(result, getViewCursorPageInfo(viewCursor, query, pageData, hasMoreDocuments));
+    }
+
+    // When reading backwards, the remaining documents are on previous pages.
+    if (!hasMoreDocuments && !isReversedPage) {
       result.isLastPage = true;
     }
+
+    if (query.includeDocuments) {
+      result.documents = await this._readMany(
+        {type: query.type, ids: result.data, fields: query.fields},
+        socket,
+        Object.fromEntries(pageData.map((document) => [ document.id, document ]))
+      );
+    }
+
+    if (query.include) {
+      result.included = await this._readIncludedResources(query, pageData, socket);
+    }
   }
 
   this.emit('read', {query, result});
@@ -968,6 +1736,106 @@ AGCRUDRethink.prototype._read = async function (query, socket) {
   return result;
 };
 
+// Read multiple documents of the same type by ID. Documents which are in the cache are
+// served from there and the remaining ones are fetched together in a single query.
+// Documents which are blocked by the post access filter are omitted from the result
+// and documents which do not exist are null. Documents which were already fetched
+// (e.g. as part of a view page) can be passed in order to fill the cache.
+AGCRUDRethink.prototype._readMany = async function (query, socket, fetchedDocumentsMap) {
+  let ids = [...new Set(query.ids)];
+  let missingIds = [];
+  let resolveMissingDocuments;
+  let rejectMissingDocuments;
+  let missingDocumentsPromise = new Promise((resolve, reject) => {
+    resolveMissingDocuments = resolve;
+    rejectMissingDocuments = reject;
+  });
+
+  // Cache providers are invoked synchronously on a cache miss so all
+  // missing IDs are known by the time that this map is complete.
+  let documentPromises = ids.map((id) => {
+    let resourceQuery = {type: query.type, id};
+    this._watchResourceChannel(resourceQuery);
+    return this.cache.pass(resourceQuery, async () => {
+      if (fetchedDocumentsMap && fetchedDocumentsMap.hasOwnProperty(id)) {
+        return fetchedDocumentsMap[id];
+      }
+      missingIds.push(id);
+      let missingDocumentsMap = await missingDocumentsPromise;
+      return missingDocumentsMap[id] ?? null;
+    });
+  });
+
+  if (missingIds.length) {
+    runRethinkQuery(this.rethink.table(query.type).getAll(...missingIds), getQueryTimeout(this.options, query.type))
+      .then((missingDocuments) => {
+        resolveMissingDocuments(
+          Object.fromEntries(missingDocuments.map((document) => [ document.id, document ]))
+        );
+      })
+      .catch(rejectMissingDocuments);
+  } else {
+    resolveMissingDocuments({});
+  }
+
+  let documents = await Promise.all(documentPromises);
+
+  // If socket does not exist, then the CRUD operation comes from the server-side
+  // and we don't need to pass it through an accessFilter.
+  let applyPostAccessFilter;
+  if (socket && this.accessFilter) {
+    applyPostAccessFilter = this.accessFilter.applyPostAccessFilter.bind(this.accessFilter);
+  } else {
+    applyPostAccessFilter = () => Promise.resolve();
+  }
+
+  let modelSerializer = this.modelSerializers[query.type];
+  let result = {};
+  let permittedResources = [];
+
+  await Promise.all(
+    ids.map(async (id, index) => {
+      let data = documents[index];
+      let resourceQuery = {...query, id};
+      delete resourceQuery.ids;
+      try {
+        await applyPostAccessFilter({
+          r: this.rethink,
+          socket,
+          action: 'read',
+          authToken: socket && socket.authToken,
+          query: resourceQuery,
+          resource: data
+        });
+        if (query.fields) {
+          for (let field of query.fields) {
+            this._verifyModelFieldVisibility(resourceQuery, field, socket, data);
+          }
+        }
+      } catch (error) {
+        return;
+      }
+      permittedResources.push(data);
+      if (query.fields) {
+        result[id] = this._projectResource(query.type, data, query.fields);
+      } else {
+        result[id] = data == null ? null : this._removeHiddenFields(query.type, modelSerializer(data), socket);
+      }
+    })
+  );
+
+  if (query.include) {
+    result = {
+      data: result,
+      included: await this._readIncludedResources(query, permittedResources, socket)
+    };
+  }
+
+  this.emit('read', {query, result});
+
+  return result;
+};
+
 // Update a single whole document or one or more fields within a document.
 // Whenever a document is updated, it may affect the ordering and pagination of
 // certain views. This update operation will send notifications to all affected
@@ -976,6 +1844,9 @@ AGCRUDRethink.prototype._read = async function (query, socket) {
 // themselves in real-time.
 AGCRUDRethink.prototype.update = async function (query, socket) {
   this._validateQuery({action: 'update', ...query});
+  if (query.batch) {
+    return this._updateBatch(query, socket);
+  }
   return this._update(query, socket);
 };
 
@@ -1041,6 +1912,12 @@ AGCRUDRethink.prototype._update = async function (query, socket) {
     } else {
       queryValue = modelValidator(query.value, true, true);
     }
+    await this.modelAsyncValidators[query.type](queryValue, {
+      r: this.rethink,
+      record: {...modelInstance, ...queryValue},
+      query,
+      authToken: socket && socket.authToken
+    });
 
     let result = await this._updateDb(query.type, query.id, queryValue);
     this.cache.update(query);
@@ -1048,50 +1925,338 @@ AGCRUDRethink.prototype._update = async function (query, socket) {
     let resourceChannelName = this._getResourceChannelName(query);
     this.publish(resourceChannelName);
 
-    let publisherId = typeof query.publisherId === 'string' ? query.publisherId : undefined;
+    this._publishFieldUpdates(query, queryValue, socket);
+    this._publishViewUpdates(query, result, modelInstanceClone);
+    this.emit('update', {query, result, original: modelInstanceClone});
 
-    if (query.field) {
-      if (queryValue === undefined) {
-        queryValue = null;
+  } catch (error) {
+    this.emit('error', {error});
+    this.emit('updateFail', {query, error});
+    throw error;
+  }
+};
+
+// Batch operations take a list of items for a single type; each item has the same
+// format as a regular query for that action (without the type). All items are
+// validated first and the valid ones are written together in a single query.
+// The result is a list with one entry per item which holds either the id of the
+// document or the error which caused the item to fail. View publishes are collected
+// and flushed once the whole batch has been written; see _flushViewPublishBatch.
+AGCRUDRethink.prototype._getBatchItemQueries = function (query) {
+  return query.batch.map((item) => {
+    return {
+      publisherId: query.publisherId,
+      ...item,
+      type: query.type
+    };
+  });
+};
+
+AGCRUDRethink.prototype._verifyBatchModelType = function (query, action) {
+  if (this.modelValidators[query.type] == null) {
+    let error = new Error(`The ${query.type} model type is not supported - It is not part of the schema`);
+    error.name = 'CRUDInvalidModelType';
+    this.emit('error', {error});
+    this.emit(`${action}Fail`, {query, error});
+    throw error;
+  }
+};
+
+AGCRUDRethink.prototype._getDocumentsMap = async function (type, ids) {
+  let documents = await this.rethink.table(type).getAll(...ids).run();
+  return Object.fromEntries(documents.map((document) => [ document.id, document ]));
+};
+
+AGCRUDRethink.prototype._getChangesMap = function (changes) {
+  let changesMap = {};
+  for (let change of changes || []) {
+    let id = (change.new_val || change.old_val)?.id;
+    if (id != null) {
+      changesMap[id] = change;
+    }
+  }
+  return changesMap;
+};
+
+AGCRUDRethink.prototype._createDocumentNotFoundError = function (query) {
+  let error = new Error(`The ${query.type} resource with ID ${query.id} does not exist`);
+  error.name = 'DocumentNotFoundError';
+  return error;
+};
+
+AGCRUDRethink.prototype._emitBatchItemFailure = function (action, query, error) {
+  this.emit('error', {error});
+  this.emit(`${action}Fail`, {query, error});
+};
+
+// If the bulk write of a batch fails as a whole, the error is reported as the
+// result of each item which was part of it.
+AGCRUDRethink.prototype._runBatchWrite = async function (action, itemQueries, indexes, results, rethinkQuery) {
+  try {
+    return await rethinkQuery.run();
+  } catch (error) {
+    for (let index of indexes) {
+      results[index] = {error};
+      this._emitBatchItemFailure(action, itemQueries[index], error);
+    }
+    return null;
+  }
+};
+
+AGCRUDRethink.prototype._createBatch = async function (query, socket) {
+  this._verifyBatchModelType(query, 'create');
+
+  let modelValidator = this.modelValidators[query.type];
+  let authToken = socket && socket.authToken;
+  let itemQueries = this._getBatchItemQueries(query);
+  let results = [];
+
+  await Promise.all(
+    itemQueries.map(async (itemQuery, index) => {
+      try {
+        if (!itemQuery.value || typeof itemQuery.value !== 'object') {
+          let error = new Error('Cannot create a document from a primitive - Must be an object');
+          error.name = 'CRUDInvalidParams';
+          throw error;
+        }
+        itemQuery.value = modelValidator(itemQuery.value, false, false, {
+          query: itemQuery,
+          authToken
+        });
+        await this.modelAsyncValidators[query.type](itemQuery.value, {
+          r: this.rethink,
+          record: itemQuery.value,
+          query: itemQuery,
+          authToken
+        });
+        // IDs are generated in advance so that each change can be matched to its item.
+        if (itemQuery.value.id == null) {
+          itemQuery.value = {...itemQuery.value, id: randomUUID()};
+        }
+      } catch (error) {
+        results[index] = {error};
+        this._emitBatchItemFailure('create', itemQuery, error);
       }
-      if (typeof queryValue === 'function') {
+    })
+  );
+
+  let validIndexes = itemQueries.map((itemQuery, index) => index).filter((index) => !results[index]);
+  let changesMap = {};
+  if (validIndexes.length) {
+    let result = await this._runBatchWrite(
+      'create',
+      itemQueries,
+      validIndexes,
+      results,
+      this.rethink.table(query.type)
+        .insert(validIndexes.map((index) => itemQueries[index].value), {returnChanges: 'always'})
+    );
+    changesMap = this._getChangesMap(result?.changes);
+  }
+
+  let viewPublishBatch = {};
+  itemQueries.forEach((itemQuery, index) => {
+    if (results[index]) {
+      return;
+    }
+    let change = changesMap[itemQuery.value.id];
+    if (!change || change.error) {
+      let error = errors.create(change ? change.error : 'The document was not inserted');
+      results[index] = {error};
+      this._emitBatchItemFailure('create', itemQuery, error);
+      return;
+    }
+    let result = change.new_val;
+    this.publish(this._getResourceChannelName({type: query.type, id: result.id}));
+
+    let affectedViewData = this.getQueryAffectedViews(itemQuery, result);
+    for (let viewData of affectedViewData) {
+      this._publishToViewChannel(viewData, {
+        type: 'create',
+        value: {
+          id: result.id
+        }
+      }, undefined, viewPublishBatch);
+    }
+    this.emit('create', {query: itemQuery, result});
+    results[index] = {id: result.id};
+  });
+  this._flushViewPublishBatch(viewPublishBatch);
+
+  return results;
+};
+
+AGCRUDRethink.prototype._updateBatch = async function (query, socket) {
+  this._verifyBatchModelType(query, 'update');
+
+  let modelValidator = this.modelValidators[query.type];
+  let authToken = socket && socket.authToken;
+  let itemQueries = this._getBatchItemQueries(query);
+  let results = [];
+  let queryValues = [];
+
+  // If socket does not exist, then the CRUD operation comes from the server-side
+  // and we don't need to pass it through a accessFilter.
+  let applyPostAccessFilter;
+  if (socket && this.accessFilter) {
+    applyPostAccessFilter = this.accessFilter.applyPostAccessFilter.bind(this.accessFilter);
+  } else {
+    applyPostAccessFilter = () => Promise.resolve();
+  }
+
+  let modelInstancesMap = await this._getDocumentsMap(
+    query.type,
+    itemQueries.map((itemQuery) => itemQuery.id)
+  );
+
+  await Promise.all(
+    itemQueries.map(async (itemQuery, index) => {
+      try {
+        if (itemQuery.field === 'id') {
+          let error = new Error('Cannot modify the id field of an existing document');
+          error.name = 'CRUDInvalidOperation';
+          throw error;
+        }
+        if (!itemQuery.field && (!itemQuery.value || typeof itemQuery.value !== 'object')) {
+          let error = new Error('Cannot replace document with a primitive - Must be an object');
+          error.name = 'CRUDInvalidOperation';
+          throw error;
+        }
+        let modelInstance = modelInstancesMap[itemQuery.id];
+        if (modelInstance == null) {
+          throw this._createDocumentNotFoundError(itemQuery);
+        }
+        await applyPostAccessFilter({
+          r: this.rethink,
+          socket,
+          action: 'update',
+          authToken,
+          query: itemQuery,
+          resource: modelInstance
+        });
+
+        let queryValue;
+        if (itemQuery.field) {
+          queryValue = modelValidator({[itemQuery.field]: itemQuery.value}, true, true);
+        } else {
+          queryValue = modelValidator(itemQuery.value, true, true);
+        }
+        await this.modelAsyncValidators[query.type](queryValue, {
+          r: this.rethink,
+          record: {...modelInstance, ...queryValue},
+          query: itemQuery,
+          authToken
+        });
+        queryValues[index] = queryValue;
+      } catch (error) {
+        results[index] = {error};
+        this._emitBatchItemFailure('update', itemQuery, error);
+      }
+    })
+  );
+
+  let validIndexes = itemQueries.map((itemQuery, index) => index).filter((index) => !results[index]);
+  let changesMap = {};
+  let updateError = null;
+  if (validIndexes.length) {
+    let r = this.rethink;
+    let result = await this._runBatchWrite(
+      'update',
+      itemQueries,
+      validIndexes,
+      results,
+      r.expr(
+        validIndexes.map((index) => ({
+          id: itemQueries[index].id,
+          value: this._getUpdateDbRecord(query.type, queryValues[index])
+        }))
+      )
+        .forEach((update) => {
+          return r.table(query.type).get(update('id')).update(update('value'), {returnChanges: 'always'});
+        })
+    );
+    changesMap = this._getChangesMap(result?.changes);
+    if (result?.errors) {
+      updateError = errors.create(result.first_error);
+    }
+  }
+
+  let viewPublishBatch = {};
+  for (let index of validIndexes) {
+    if (results[index]) {
+      continue;
+    }
+    let itemQuery = itemQueries[index];
+    let change = changesMap[itemQuery.id];
+    if (!change || change.error) {
+      let error;
+      if (change) {
+        error = errors.create(change.error);
+      } else {
+        error = updateError || this._createDocumentNotFoundError(itemQuery);
+      }
+      results[index] = {error};
+      this._emitBatchItemFailure('update', itemQuery, error);
+      continue;
+    }
+    let result = change.new_val;
+    let modelInstanceClone = {...modelInstancesMap[itemQuery.id]};
+    this.cache.update(itemQuery);
+    this.publish(this._getResourceChannelName(itemQuery));
+    this._publishFieldUpdates(itemQuery, queryValues[index], socket);
+    this._publishViewUpdates(itemQuery, result, modelInstanceClone, viewPublishBatch);
+    this.emit('update', {query: itemQuery, result, original: modelInstanceClone});
+    results[index] = {id: itemQuery.id};
+  }
+  this._flushViewPublishBatch(viewPublishBatch);
+
+  return results;
+};
+
+// Notify the subscribers of each updated field about its new value.
+AGCRUDRethink.prototype._publishFieldUpdates = function (query, queryValue, socket) {
+  let publisherId = typeof query.publisherId === 'string' ? query.publisherId : undefined;
+
+  if (query.field) {
+    if (queryValue === undefined) {
+      queryValue = null;
+    }
+    if (typeof queryValue === 'function') {
+      // Do not publish raw RethinkDB predicates or functions.
+      this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field);
+    } else if (!this._isModelFieldPublic(query.type, query.field)) {
+      // Notify subscribers without exposing the value of a hidden field.
+      this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field);
+    } else {
+      this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
+        type: 'update',
+        value: this.modelSerializers[query.type](queryValue),
+        publisherSocketId: socket && socket.id,
+        publisherId
+      });
+    }
+  } else {
+    queryValue = queryValue || {};
+    for (let field of Object.keys(queryValue)) {
+      let value = queryValue[field];
+      if (value === undefined) {
+        value = null;
+      }
+      if (typeof value === 'function') {
         // Do not publish raw RethinkDB predicates or functions.
-        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field);
+        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field);
+      } else if (!this._isModelFieldPublic(query.type, field)) {
+        // Notify subscribers without exposing the value of a hidden field.
+        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field);
       } else {
-        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
+        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
           type: 'update',
-          value: queryValue,
+          value: this._serializeFieldValue(query.type, field, value),
           publisherSocketId: socket && socket.id,
           publisherId
         });
       }
-    } else {
-      queryValue = queryValue || {};
-      for (let field of Object.keys(queryValue)) {
-        let value = queryValue[field];
-        if (value === undefined) {
-          value = null;
-        }
-        if (typeof value === 'function') {
-          // Do not publish raw RethinkDB predicates or functions.
-          this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field);
-        } else {
-          this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
-            type: 'update',
-            value,
-            publisherSocketId: socket && socket.id,
-            publisherId
-          });
-        }
-      }
     }
-    this._publishViewUpdates(query, result, modelInstanceClone);
-    this.emit('update', {query, result, original: modelInstanceClone});
-
-  } catch (error) {
-    this.emit('error', {error});
-    this.emit('updateFail', {query, error});
-    throw error;
   }
 };
 
@@ -1100,6 +2265,9 @@ AGCRUDRethink.prototype._update = async function (query, socket) {
 // in real-time.
 AGCRUDRethink.prototype.delete = async function (query, socket) {
   this._validateQuery({action: 'delete', ...query});
+  if (query.batch) {
+    return this._deleteBatch(query, socket);
+  }
   return this._delete(query, socket);
 };
 
@@ -1147,6 +2315,11 @@ AGCRUDRethink.prototype._delete = async function (query, socket) {
 
   await applyPostAccessFilter(accessFilterRequest);
 
+  let isDocumentDelete = !query.field && modelInstance != null;
+  if (isDocumentDelete) {
+    await this._enforceDeleteRestrictions(query);
+  }
+
   let original;
   let result;
   if (query.field) {
@@ -1187,42 +2360,156 @@ AGCRUDRethink.prototype._delete = async function (query, socket) {
       publisherId
     });
   } else {
-    let oldAffectedViewData = this.getQueryAffectedViews(query, modelInstanceClone);
-    for (let viewData of oldAffectedViewData) {
-      this._publishToViewChannel(viewData, {
-        type: 'delete',
-        value: {
-          id: query.id
+    this._publishDocumentDelete(query, modelInstanceClone, socket);
+  }
+  this.emit('delete', {query, result, original});
+  if (isDocumentDelete) {
+    await this._applyDeleteReferenceActions(query);
+  }
+};
+
+// Batch deletes apply to whole documents. Documents which do not exist are
+// reported as deleted.
+AGCRUDRethink.prototype._deleteBatch = async function (query, socket) {
+  this._verifyBatchModelType(query, 'delete');
+
+  let itemQueries = this._getBatchItemQueries(query);
+  let results = [];
+
+  // If socket does not exist, then the CRUD operation comes from the server-side
+  // and we don't need to pass it through a accessFilter.
+  let applyPostAccessFilter;
+  if (socket && this.accessFilter) {
+    applyPostAccessFilter = this.accessFilter.applyPostAccessFilter.bind(this.accessFilter);
+  } else {
+    applyPostAccessFilter = () => Promise.resolve();
+  }
+
+  let modelInstancesMap = await this._getDocumentsMap(
+    query.type,
+    itemQueries.map((itemQuery) => itemQuery.id)
+  );
+
+  await Promise.all(
+    itemQueries.map(async (itemQuery, index) => {
+      let modelInstance = modelInstancesMap[itemQuery.id];
+      try {
+        await applyPostAccessFilter({
+          r: this.rethink,
+          socket,
+          action: 'delete',
+          authToken: socket && socket.authToken,
+          query: itemQuery,
+          resource: modelInstance
+        });
+        if (modelInstance != null) {
+          await this._enforceDeleteRestrictions(itemQuery);
         }
-      });
-    }
+      } catch (error) {
+        results[index] = {error};
+        this._emitBatchItemFailure('delete', itemQuery, error);
+      }
+    })
+  );
 
-    let modelSchema = this.schema[query.type];
-    let deletedFields = Object.keys(modelSchema?.fields || {});
+  let deleteIndexes = itemQueries
+    .map((itemQuery, index) => index)
+    .filter((index) => !results[index] && modelInstancesMap[itemQueries[index].id] != null);
+  let changesMap = {};
+  let deleteError = null;
+  if (deleteIndexes.length) {
+    let result = await this._runBatchWrite(
+      'delete',
+      itemQueries,
+      deleteIndexes,
+      results,
+      this.rethink.table(query.type)
+        .getAll(...deleteIndexes.map((index) => itemQueries[index].id))
+        .delete({returnChanges: true})
+    );
+    changesMap = this._getChangesMap(result?.changes);
+    if (result?.errors) {
+      deleteError = errors.create(result.first_error);
+    }
+  }
 
-    for (let field of deletedFields) {
-      this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
-        type: 'delete',
-        publisherSocketId: socket && socket.id,
-        publisherId
-      });
+  let viewPublishBatch = {};
+  let deletedItemQueries = [];
+  itemQueries.forEach((itemQuery, index) => {
+    if (results[index]) {
+      return;
+    }
+    let change = changesMap[itemQuery.id];
+    // Documents which were part of the delete but have no change were not deleted.
+    if (!change && deleteError && deleteIndexes.includes(index)) {
+      results[index] = {error: deleteError};
+      this._emitBatchItemFailure('delete', itemQuery, deleteError);
+      return;
+    }
+    results[index] = {id: itemQuery.id};
+    if (!change) {
+      return;
     }
+    this.publish(this._getResourceChannelName(itemQuery));
+    this._publishDocumentDelete(itemQuery, change.old_val, socket, viewPublishBatch);
+    deletedItemQueries.push(itemQuery);
+    this.emit('delete', {query: itemQuery, result: change.new_val, original: change.old_val});
+  });
+  this._flushViewPublishBatch(viewPublishBatch);
+
+  for (let itemQuery of deletedItemQueries) {
+    await this._applyDeleteReferenceActions(itemQuery);
+  }
+
+  return results;
+};
+
+AGCRUDRethink.prototype._publishDocumentDelete = function (query, modelInstance, socket, viewPublishBatch) {
+  let publisherId = typeof query.publisherId === 'string' ? query.publisherId : undefined;
+
+  let oldAffectedViewData = this.getQueryAffectedViews(query, modelInstance);
+  for (let viewData of oldAffectedViewData) {
+    this._publishToViewChannel(viewData, {
+      type: 'delete',
+      value: {
+        id: query.id
+      }
+    }, undefined, viewPublishBatch);
+  }
+
+  let modelSchema = this.schema[query.type];
+  let deletedFields = Object.keys(modelSchema?.fields || {});
+
+  for (let field of deletedFields) {
+    this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
+      type: 'delete',
+      publisherSocketId: socket && socket.id,
+      publisherId
+    });
   }
-  this.emit('delete', {query, result, original});
 };
 
 AGCRUDRethink.prototype._attachSocket = function (socket) {
   let actionHandlers = {
     create: async (query) => {
+      if (query.batch) {
+        return this._getBatchClientResults('create', query, await this._createBatch(query, socket));
+      }
       return this._create(query, socket);
     },
     read: async (query) => {
       return this._read(query, socket);
     },
     update: async (query) => {
+      if (query.batch) {
+        return this._getBatchClientResults('update', query, await this._updateBatch(query, socket));
+      }
       return this._update(query, socket);
     },
     delete: async (query) => {
+      if (query.batch) {
+        return this._getBatchClientResults('delete', query, await this._deleteBatch(query, socket));
+      }
       return this._delete(query, socket);
     }
   };
@@ -1246,6 +2533,25 @@ AGCRUDRethink.prototype._attachSocket = function (socket) {
   })();
 };
 
+// Errors of batch items are sent to the client as part of the result so they
+// need to be converted to plain objects.
+AGCRUDRethink.prototype._getBatchClientResults = function (action, query, results) {
+  return results.map((result, index) => {
+    if (!result.error) {
+      return result;
+    }
+    let clientError = this.clientErrorMapper(result.error, action, {...query.batch[index], type: query.type});
+    if (clientError instanceof Error) {
+      clientError = {
+        name: clientError.name,
+        message: clientError.message,
+        ...clientError
+      };
+    }
+    return {error: clientError};
+  });
+};
+
 AGCRUDRethink.prototype._validateQuery = function (query) {
   validateQuery(query, this.schema);
 };
@@ -1254,6 +2560,10 @@ module.exports.AGCRUDRethink = AGCRUDRethink;
 
 module.exports.type = typeBuilder;
 
+module.exports.TypeConstraint = TypeConstraint;
+
+module.exports.createConstraintError = createConstraintError;
+
 module.exports.createModelValidator = createModelValidator;
 
 module.exports.attach = function (agServer, options) {
@@ -6,21 +6,427 @@ let getViewMetaData = function (options, type, viewName) {
   return Object.assign({}, viewSchema);
 };
 
-module.exports.constructTransformedRethinkQuery = function (options, rethinkQuery, type, viewName, viewParams) {
+// Time limits can be declared on a view, on a model or globally using the
+// queryTimeout option; the most specific one applies.
+module.exports.getQueryTimeout = function (options, type, viewName) {
+  let typeSchema = options.schema[type] || {};
+  let viewSchema = viewName == null ? {} : getViewMetaData(options, type, viewName);
+  return viewSchema.queryTimeout ?? typeSchema.queryTimeout ?? options.queryTimeout ?? null;
+};
+
+// The time limit only applies to how long the caller waits for the result. The driver
+// cannot interrupt a query which is already running on the database so the query
+// keeps its connection busy until it completes on its own.
+module.exports.runRethinkQuery = function (rethinkQuery, timeout) {
+  if (timeout == null) {
+    return rethinkQuery.run();
+  }
+  let timer;
+  let timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      let error = new Error(`The query did not complete within the time limit of ${timeout} milliseconds`);
+      error.name = 'CRUDQueryTimeoutError';
+      reject(error);
+    }, timeout);
+  });
+  return Promise.race([rethinkQuery.run(), timeoutPromise]).finally(() => {
+    clearTimeout(timer);
+  });
+};
+
+// Search fields can be declared as a list of field names or as an object which
+// maps each field name to a weight which is used for ranking.
+let getSearchFieldWeights = function (search) {
+  if (Array.isArray(search.fields)) {
+    return Object.fromEntries(search.fields.map((field) => [field, 1]));
+  }
+  return {...search.fields};
+};
+
+let getSearchFields = function (search) {
+  return Object.keys(getSearchFieldWeights(search));
+};
+
+// Terms only contain letters and digits so they are safe to embed in a regex.
+let tokenizeSearchText = function (text, maxTerms) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  let terms = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((term) => term.length);
+  return [...new Set(terms)].slice(0, maxTerms);
+};
+
+// If the search declares an index, the candidate documents are read from it using
+// the search terms as keys. The index must be a multi index whose values are the
+// lowercase words of the search fields; candidates then need to contain each term
+// as a whole word rather than as the start of a word.
+let constructSearchCandidatesRethinkQuery = function (r, rethinkQuery, search, searchText) {
+  let terms = tokenizeSearchText(searchText, search.maxTerms || 10);
+  if (!terms.length) {
+    return rethinkQuery.filter(false);
+  }
+  // A document appears once for each of its words which matches a term.
+  return rethinkQuery.getAll(...terms, {index: search.index}).distinct();
+};
+
+// A document gets the weight of a field for each search term which matches the
+// start of a word within that field. Documents which don't match any term are
+// excluded and the remaining ones are ranked by score.
+let constructSearchRethinkQuery = function (r, rethinkQuery, search, searchText) {
+  let fieldWeights = getSearchFieldWeights(search);
+  let terms = tokenizeSearchText(searchText, search.maxTerms || 10);
+  if (!terms.length) {
+    return rethinkQuery.filter(false);
+  }
+  let getScore = (doc) => {
+    let scores = [];
+    for (let [field, weight] of Object.entries(fieldWeights)) {
+      for (let term of terms) {
+        scores.push(
+          r.branch(
+            doc(field).default('').coerceTo('string').match(`(?i)(?:^|[^\\pL\\pN])${term}`),
+            weight,
+            0
+          )
+        );
+      }
+    }
+    return r.expr(0).add(...scores);
+  };
+  // The score is computed once per document and then used for filtering and ordering.
+  return rethinkQuery
+    .map((doc) => r.object('doc', doc, 'score', getScore(doc)))
+    .filter((result) => result('score').gt(0))
+    .orderBy(r.desc('score'), r.asc((result) => result('doc')('id')))
+    .map((result) => result('doc'));
+};
+
+// The names of the view params which hold the coordinates and the radius in meters.
+let getGeoParams = function (geo) {
+  return {
+    lat: 'lat',
+    lng: 'lng',
+    radius: 'radius',
+    ...geo.params
+  };
+};
+
+// RethinkDB uses a maximum distance of 100 km for getNearest by default.
+const DEFAULT_GEO_RADIUS = 100000;
+
+// Geo views start from the geo index of the table. The nearest mode returns
+// documents ordered by distance while the intersecting mode returns all documents
+// whose location is within the radius in no particular order.
+let constructGeoRethinkQuery = function (r, rethinkQuery, geo, viewParams) {
+  let params = getGeoParams(geo);
+  let lat = viewParams[params.lat];
+  let lng = viewParams[params.lng];
+  if (lat == null || lng == null) {
+    return rethinkQuery.filter(false);
+  }
+  let radius = viewParams[params.radius] ?? geo.maxRadius ?? DEFAULT_GEO_RADIUS;
+  let point = r.point(lng, lat);
+  if (geo.mode === 'intersecting') {
+    return rethinkQuery.getIntersecting(r.circle(point, radius), {index: geo.index});
+  }
+  return rethinkQuery
+    .getNearest(point, {index: geo.index, maxDist: radius, maxResults: geo.maxResults || 100})
+    .map((result) => result('doc'));
+};
+
+module.exports.getGeoParams = getGeoParams;
+module.exports.getSearchFields = getSearchFields;
+module.exports.tokenizeSearchText = tokenizeSearchText;
+
+let viewFilterOperators = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'contains'];
+
+// Maps the comparison operators of the filter DSL to their ReQL term methods.
+let viewFilterComparisonMethods = {
+  eq: 'eq',
+  ne: 'ne',
+  lt: 'lt',
+  lte: 'le',
+  gt: 'gt',
+  gte: 'ge'
+};
+
+let escapeRegex = function (string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Filter values are passed through the constraint of their field so that they are
+// compared in the same format as the stored values (e.g. dates as native times).
+let getViewFilterValue = function (options, type, filter) {
+  let {field, op, value} = filter;
+  let constraint = options.schema[type].fields?.[field];
+  if (op === 'contains' || constraint == null) {
+    return value;
+  }
+  let sanitize = (item) => item == null ? item : constraint.validate(item);
+  return op === 'in' ? value.map(sanitize) : sanitize(value);
+};
+
+let constructViewFilter = function (r, doc, filter, value) {
+  let fieldValue = doc(filter.field).default(null);
+  if (filter.op === 'in') {
+    return r.expr(value).contains(fieldValue);
+  }
+  if (filter.op === 'contains') {
+    return r.branch(
+      fieldValue.typeOf().eq('ARRAY'),
+      fieldValue.contains(value),
+      fieldValue.coerceTo('string').match(`(?i)${escapeRegex(String(value))}`).ne(null)
+    );
+  }
+  let method = viewFilterComparisonMethods[filter.op];
+  if (method == null) {
+    let error = new Error(`The ${filter.op} filter operator is not supported`);
+    error.name = 'CRUDInvalidParams';
+    throw error;
+  }
+  return fieldValue[method](value);
+};
+
+module.exports.viewFilterOperators = viewFilterOperators;
+
+// Client filters and sort keys are supplied as part of the view query; they have
+// already been checked against the whitelist of the view by validateQuery.
+let constructViewFilterRethinkQuery = function (options, rethinkQuery, type, filters) {
+  let r = options.rethink;
+  let filterValues = filters.map((filter) => getViewFilterValue(options, type, filter));
+  return rethinkQuery.filter((doc) => {
+    return r.and(...filters.map((filter, i) => constructViewFilter(r, doc, filter, filterValues[i])));
+  });
+};
+
+// Client sort keys are not backed by indexes so the documents of the view are sorted
+// in memory. To keep this bounded, the sort fails if the view has more than maxSortSize
+// documents; RethinkDB would otherwise fail once the array limit is reached.
+const DEFAULT_MAX_SORT_SIZE = 10000;
+
+// The id is used as a tie-breaker so that offset pagination remains stable.
+let constructViewSortRethinkQuery = function (options, rethinkQuery, sort, maxSortSize) {
+  let r = options.rethink;
+  return rethinkQuery.limit(maxSortSize + 1).coerceTo('array').do((documents) => {
+    return r.branch(
+      documents.count().gt(maxSortSize),
+      r.error(`The view has more than ${maxSortSize} documents so it cannot be sorted - Add filters to narrow it down`),
+      documents.orderBy(
+        ...sort.map(({field, order}) => order === 'desc' ? r.desc(field) : r.asc(field)),
+        r.asc('id')
+      )
+    );
+  });
+};
+
+module.exports.DEFAULT_MAX_SORT_SIZE = DEFAULT_MAX_SORT_SIZE;
+
+module.exports.constructTransformedRethinkQuery = function (options, rethinkQuery, type, viewName, viewParams, viewQuery) {
   let viewMetaData = getViewMetaData(options, type, viewName);
 
+  let modelSchemaFields = options.schema[type].fields || {};
   let sanitizedViewParams = {};
   if (typeof viewParams === 'object' && viewParams != null) {
     for (let field of (viewMetaData.paramFields || [])) {
       let value = viewParams[field];
+      let constraint = modelSchemaFields[field];
+      if (constraint && value != null) {
+        value = constraint.parseViewParam(value);
+      }
       sanitizedViewParams[field] = value === undefined ? null : value;
     }
   }
 
+  if (viewMetaData.geo) {
+    rethinkQuery = constructGeoRethinkQuery(options.rethink, rethinkQuery, viewMetaData.geo, sanitizedViewParams);
+  }
+
+  let {search} = viewMetaData;
+  if (search && search.index) {
+    rethinkQuery = constructSearchCandidatesRethinkQuery(options.rethink, rethinkQuery, search, sanitizedViewParams[search.param]);
+  }
+
   let transformFn = viewMetaData.transform;
   if (transformFn) {
     rethinkQuery = transformFn(rethinkQuery, options.rethink, sanitizedViewParams);
   }
 
+  let {filters, sort} = viewQuery || {};
+  if (filters && filters.length) {
+    rethinkQuery = constructViewFilterRethinkQuery(options, rethinkQuery, type, filters);
+  }
+
+  if (search) {
+    rethinkQuery = constructSearchRethinkQuery(options.rethink, rethinkQuery, search, sanitizedViewParams[search.param]);
+  }
+
+  if (sort && sort.length) {
+    rethinkQuery = constructViewSortRethinkQuery(
+      options,
+      rethinkQuery,
+      sort,
+      viewMetaData.maxSortSize ?? DEFAULT_MAX_SORT_SIZE
+    );
+  }
+
   return rethinkQuery;
 };
+
+let aggregateOperations = ['count', 'sum', 'avg', 'min', 'max'];
+
+let getAggregateGroupFields = function (aggregate) {
+  if (aggregate.groupBy == null) {
+    return [];
+  }
+  return Array.isArray(aggregate.groupBy) ? aggregate.groupBy : [aggregate.groupBy];
+};
+
+// The fields whose values can change the result of the aggregation.
+let getAggregateFields = function (aggregate) {
+  let metricFields = Object.values(aggregate.metrics || {})
+    .map((metric) => metric.field)
+    .filter((field) => field != null);
+  return [...new Set([...getAggregateGroupFields(aggregate), ...metricFields])];
+};
+
+// Each metric is computed independently over the sequence. The avg, min and max
+// operations fail on empty sequences so they default to null instead.
+let constructAggregateMetrics = function (r, sequence, metrics) {
+  let args = [];
+  for (let [metricName, {op, field}] of Object.entries(metrics)) {
+    let value;
+    if (op === 'count') {
+      value = field == null ? sequence.count() : sequence.count((doc) => doc.hasFields(field));
+    } else if (op === 'sum') {
+      value = sequence.sum(field);
+    } else if (op === 'avg') {
+      value = sequence.avg(field).default(null);
+    } else {
+      value = sequence[op](field)(field).default(null);
+    }
+    args.push(metricName, value);
+  }
+  return r.object(...args);
+};
+
+module.exports.aggregateOperations = aggregateOperations;
+module.exports.getAggregateFields = getAggregateFields;
+
+// Aggregate views resolve to a list of rows ordered by group; each row contains
+// the groupBy fields and the metrics of that group. Views without a groupBy
+// resolve to a single row which aggregates all documents in the view.
+module.exports.constructAggregateRethinkQuery = function (options, type, viewName, viewParams) {
+  let r = options.rethink;
+  let {aggregate} = getViewMetaData(options, type, viewName);
+  let groupFields = getAggregateGroupFields(aggregate);
+  let metrics = aggregate.metrics || {};
+  let rethinkQuery = module.exports.constructTransformedRethinkQuery(options, r.table(type), type, viewName, viewParams);
+
+  if (!groupFields.length) {
+    return r.expr([constructAggregateMetrics(r, rethinkQuery, metrics)]);
+  }
+  return rethinkQuery.group(...groupFields).ungroup().map((group) => {
+    let groupValues = groupFields.length > 1 ?
+      groupFields.map((field, i) => group('group').nth(i)) : [group('group')];
+    return r.object(
+      ...groupFields.flatMap((field, i) => [field, groupValues[i]])
+    ).merge(
+      constructAggregateMetrics(r, group('reduction'), metrics)
+    );
+  });
+};
+
+// Cursors are opaque to clients; they encode the index key of a document
+// within the view. Dates need to be tagged so that they can be restored as
+// RethinkDB times when the cursor is decoded.
+let encodeCursorKey = function (key) {
+  if (key instanceof Date) {
+    return {$date: key.toISOString()};
+  }
+  if (Array.isArray(key)) {
+    return key.map(encodeCursorKey);
+  }
+  return key;
+};
+
+let decodeCursorKey = function (key) {
+  if (Array.isArray(key)) {
+    return key.map(decodeCursorKey);
+  }
+  if (key != null && typeof key === 'object' && typeof key.$date === 'string') {
+    return new Date(key.$date);
+  }
+  return key;
+};
+
+let encodeViewCursor = function (key) {
+  return Buffer.from(JSON.stringify(encodeCursorKey(key))).toString('base64url');
+};
+
+let decodeViewCursor = function (cursor) {
+  return decodeCursorKey(JSON.parse(Buffer.from(cursor, 'base64url').toString()));
+};
+
+let getViewCursorFields = function (viewCursor) {
+  return viewCursor.fields || [viewCursor.index];
+};
+
+let getViewCursorKey = function (viewCursor, resource) {
+  let cursorFields = getViewCursorFields(viewCursor);
+  if (cursorFields.length === 1) {
+    return resource[cursorFields[0]];
+  }
+  return cursorFields.map((field) => resource[field]);
+};
+
+module.exports.encodeViewCursor = encodeViewCursor;
+module.exports.decodeViewCursor = decodeViewCursor;
+module.exports.getViewCursorFields = getViewCursorFields;
+
+// Builds a keyset pagination query which starts after or before the cursor
+// specified in the query. Pages which are read backwards (before a cursor) are
+// fetched in reverse order so the resulting documents need to be reversed.
+module.exports.constructCursorRethinkQuery = function (options, type, viewName, viewParams, query) {
+  let r = options.rethink;
+  let viewCursor = getViewMetaData(options, type, viewName).cursor;
+  let {index} = viewCursor;
+  let isDescending = !!viewCursor.descending;
+  let isReversed = query.before != null;
+  let cursor = isReversed ? query.before : query.after;
+
+  let rethinkQuery = r.table(type);
+  if (cursor != null) {
+    let cursorKey = decodeViewCursor(cursor);
+    if (isDescending === isReversed) {
+      rethinkQuery = rethinkQuery.between(cursorKey, r.maxval, {index, leftBound: 'open'});
+    } else {
+      rethinkQuery = rethinkQuery.between(r.minval, cursorKey, {index, rightBound: 'open'});
+    }
+  }
+  if (isDescending === isReversed) {
+    rethinkQuery = rethinkQuery.orderBy({index: r.asc(index)});
+  } else {
+    rethinkQuery = rethinkQuery.orderBy({index: r.desc(index)});
+  }
+
+  return {
+    rethinkQuery: module.exports.constructTransformedRethinkQuery(options, rethinkQuery, type, viewName, viewParams, query),
+    isReversed
+  };
+};
+
+module.exports.getViewCursorPageInfo = function (viewCursor, query, pageData, hasMoreDocuments) {
+  let firstCursor = pageData.length ? encodeViewCursor(getViewCursorKey(viewCursor, pageData[0])) : null;
+  let lastCursor = pageData.length ? encodeViewCursor(getViewCursorKey(viewCursor, pageData[pageData.length - 1])) : null;
+
+  if (query.before != null) {
+    return {
+      nextCursor: lastCursor,
+      prevCursor: hasMoreDocuments ? firstCursor : null
+    };
+  }
+  return {
+    nextCursor: hasMoreDocuments ? lastCursor : null,
+    prevCursor: query.after != null ? firstCursor : null
+  };
+};
@@ -1,3 +1,6 @@
+const jsonStableStringify = require('json-stable-stringify');
+const { decodeViewCursor, getGeoParams } = require('./query-transformer');
+
 const PUBLISHER_ID_MIN_LENGTH = 1;
 const PUBLISHER_ID_MAX_LENGTH = 50;
 
@@ -40,6 +43,10 @@ function validateQuery(query, schema) {
       );
     }
   }
+  if (query.batch != null) {
+    validateBatchQuery(query, schema);
+    return;
+  }
 
   let fieldIsSet = !!query.field;
   let idIsSet = !!query.id;
@@ -63,6 +70,15 @@ function validateQuery(query, schema) {
       throw new Error(`Invalid resource query - The resource id must be a string instead of ${idType}`);
     }
   }
+  if (query.ids != null) {
+    validateIdsQuery(query);
+  }
+  if (query.fields != null) {
+    validateFieldsQuery(query, schema);
+  }
+  if (query.include != null) {
+    validateIncludeQuery(query, schema);
+  }
   if (query.sliceTo != null && typeof query.sliceTo !== 'number') {
     throw new Error('Invalid view query - The sliceTo property must be a number');
   }
@@ -79,6 +95,229 @@ function validateQuery(query, schema) {
   if (query.getCount != null && typeof query.getCount !== 'boolean') {
     throw new Error('Invalid view query - The getCount property must be a boolean');
   }
+  if (query.includeDocuments != null) {
+    if (typeof query.includeDocuments !== 'boolean') {
+      throw new Error('Invalid view query - The includeDocuments property must be a boolean');
+    }
+    if (!viewIsSet) {
+      throw new Error('Invalid view query - The includeDocuments property can only be used with a view');
+    }
+  }
+  if (query.after != null || query.before != null) {
+    validateViewCursorQuery(query, schema);
+  }
+  if (query.filters != null) {
+    validateViewFiltersQuery(query, schema);
+  }
+  if (query.sort != null) {
+    validateViewSortQuery(query, schema);
+  }
+}
+
+// The maximum number of values which can be passed to an in filter.
+const MAX_VIEW_FILTER_IN_VALUES = 100;
+
+function validateViewFiltersQuery(query, schema) {
+  if (!query.view) {
+    throw new Error('Invalid view query - The filters property can only be used with a view');
+  }
+  let filterableFields = schema[query.type].views[query.view].filterable;
+  if (!filterableFields) {
+    throw new Error(`Invalid view query - The view ${query.view} under the type ${query.type} does not support filters`);
+  }
+  if (!Array.isArray(query.filters)) {
+    throw new Error('Invalid view query - The filters property must be an array');
+  }
+  let modelSchemaFields = schema[query.type].fields || {};
+  for (let filter of query.filters) {
+    if (filter == null || typeof filter !== 'object') {
+      throw new Error('Invalid view query - Each filter must be an object');
+    }
+    let {field, op, value} = filter;
+    let allowedOperators = filterableFields.hasOwnProperty(field) ? filterableFields[field] : [];
+    if (!allowedOperators.includes(op)) {
+      throw new Error(
+        `Invalid view query - The ${op} filter operator is not allowed on the ${field} field of the view ${query.view} under the type ${query.type}`
+      );
+    }
+    if (op === 'in') {
+      if (!Array.isArray(value) || value.length > MAX_VIEW_FILTER_IN_VALUES) {
+        throw new Error(
+          `Invalid view query - The value of the in filter on the ${field} field must be an array with at most ${MAX_VIEW_FILTER_IN_VALUES} items`
+        );
+      }
+    } else if (value === undefined || (value === null && op !== 'eq' && op !== 'ne')) {
+      throw new Error(`Invalid view query - The ${op} filter on the ${field} field must have a value`);
+    }
+    if (op === 'contains') {
+      if (value == null || typeof value === 'object') {
+        throw new Error(`Invalid view query - The value of the contains filter on the ${field} field must be a primitive`);
+      }
+      continue;
+    }
+    let constraint = modelSchemaFields[field];
+    if (!constraint) {
+      continue;
+    }
+    for (let item of op === 'in' ? value : [value]) {
+      if (item == null) {
+        continue;
+      }
+      try {
+        constraint.validate(item);
+      } catch (error) {
+        throw new Error(`Invalid view query - The value of the ${op} filter on the ${field} field was invalid: ${error.message}`);
+      }
+    }
+  }
+}
+
+function validateViewSortQuery(query, schema) {
+  if (!query.view) {
+    throw new Error('Invalid view query - The sort property can only be used with a view');
+  }
+  let sortableFields = schema[query.type].views[query.view].sortable;
+  if (!sortableFields) {
+    throw new Error(`Invalid view query - The view ${query.view} under the type ${query.type} does not support sorting`);
+  }
+  if (!Array.isArray(query.sort)) {
+    throw new Error('Invalid view query - The sort property must be an array');
+  }
+  for (let sortKey of query.sort) {
+    if (sortKey == null || typeof sortKey !== 'object') {
+      throw new Error('Invalid view query - Each sort key must be an object');
+    }
+    if (!sortableFields.includes(sortKey.field)) {
+      throw new Error(
+        `Invalid view query - The ${sortKey.field} field is not sortable in the view ${query.view} under the type ${query.type}`
+      );
+    }
+    if (sortKey.order != null && sortKey.order !== 'asc' && sortKey.order !== 'desc') {
+      throw new Error('Invalid view query - The order of each sort key must be either asc or desc');
+    }
+  }
+}
+
+function validateViewCursorQuery(query, schema) {
+  if (!query.view) {
+    throw new Error('Invalid view query - The after and before properties can only be used with a view');
+  }
+  if (!schema[query.type].views[query.view].cursor) {
+    throw new Error(
+      `Invalid view query - The view ${query.view} under the type ${query.type} does not declare a cursor so it does not support the after and before properties`
+    );
+  }
+  if (query.after != null && query.before != null) {
+    throw new Error('Invalid view query - The after and before properties cannot be used together');
+  }
+  if (query.offset) {
+    throw new Error('Invalid view query - The offset property cannot be used together with a cursor');
+  }
+  let cursor = query.after ?? query.before;
+  if (typeof cursor !== 'string') {
+    throw new Error('Invalid view query - The after and before properties must be strings');
+  }
+  try {
+    decodeViewCursor(cursor);
+  } catch (error) {
+    throw new Error('Invalid view query - The cursor was malformatted');
+  }
+}
+
+function validateBatchQuery(query, schema) {
+  if (query.action !== 'create' && query.action !== 'update' && query.action !== 'delete') {
+    throw new Error('Invalid batch query - The batch property can only be used with the create, update or delete action');
+  }
+  if (!Array.isArray(query.batch) || !query.batch.length) {
+    throw new Error('Invalid batch query - The batch property must be a non-empty array');
+  }
+  let batchIds = new Set();
+  query.batch.forEach((item, index) => {
+    if (item == null || typeof item !== 'object') {
+      throw new Error(`Invalid batch query - The item at index ${index} must be an object`);
+    }
+    if (item.batch != null) {
+      throw new Error(`Invalid batch query - The item at index ${index} cannot have a batch property`);
+    }
+    try {
+      validateQuery({...item, action: query.action, type: query.type}, schema);
+    } catch (error) {
+      throw new Error(`Invalid batch query - The item at index ${index} was invalid: ${error.message}`);
+    }
+    if (query.action !== 'create' && item.id == null) {
+      throw new Error(`Invalid batch query - The item at index ${index} must have an id property`);
+    }
+    if (query.action === 'delete' && item.field != null) {
+      throw new Error(`Invalid batch query - The item at index ${index} cannot have a field property - Only whole documents can be deleted in a batch`);
+    }
+    let id = query.action === 'create' ? item.value && item.value.id : item.id;
+    if (id == null) {
+      return;
+    }
+    if (batchIds.has(id)) {
+      throw new Error(`Invalid batch query - The resource id ${id} appears more than once in the batch`);
+    }
+    batchIds.add(id);
+  });
+}
+
+function validateIdsQuery(query) {
+  if (query.action !== 'read') {
+    throw new Error('Invalid ids query - The ids property can only be used with the read action');
+  }
+  if (!Array.isArray(query.ids) || !query.ids.length) {
+    throw new Error('Invalid ids query - The ids property must be a non-empty array');
+  }
+  if (query.id || query.field || query.view) {
+    throw new Error('Invalid ids query - The ids property cannot be used together with the id, field or view properties');
+  }
+  for (let id of query.ids) {
+    if (typeof id !== 'string') {
+      throw new Error(`Invalid ids query - Each resource id must be a string instead of ${typeof id}`);
+    }
+  }
+}
+
+function validateFieldsQuery(query, schema) {
+  if (query.action !== 'read') {
+    throw new Error('Invalid fields query - The fields property can only be used with the read action');
+  }
+  if (!Array.isArray(query.fields) || !query.fields.length) {
+    throw new Error('Invalid fields query - The fields property must be a non-empty array');
+  }
+  if (!query.id && !query.ids && !query.includeDocuments) {
+    throw new Error('Invalid fields query - The query must have an id or ids property or it must include documents');
+  }
+  if (query.field) {
+    throw new Error('Invalid fields query - The fields and field properties cannot be used together');
+  }
+  let modelSchemaFields = schema[query.type].fields || {};
+  for (let field of query.fields) {
+    if (typeof field !== 'string') {
+      throw new Error(`Invalid fields query - Each field must be a string instead of ${typeof field}`);
+    }
+    if (field !== 'id' && !modelSchemaFields.hasOwnProperty(field)) {
+      throw new Error(`Invalid fields query - The field ${field} was not defined in the schema under the type ${query.type}`);
+    }
+  }
+}
+
+function validateIncludeQuery(query, schema) {
+  if (query.action !== 'read') {
+    throw new Error('Invalid include query - The include property can only be used with the read action');
+  }
+  if (!Array.isArray(query.include)) {
+    throw new Error('Invalid include query - The include property must be an array');
+  }
+  if (query.field) {
+    throw new Error('Invalid include query - The include and field properties cannot be used together');
+  }
+  let modelIncludes = schema[query.type].includes || {};
+  for (let includeName of query.include) {
+    if (typeof includeName !== 'string' || !modelIncludes.hasOwnProperty(includeName)) {
+      throw new Error(`Invalid include query - The include ${includeName} was not defined in the schema under the type ${query.type}`);
+    }
+  }
 }
 
 function validateViewQuery(query, schema) {
@@ -90,10 +329,34 @@ function validateViewQuery(query, schema) {
     throw new Error(`Invalid view query - The view ${query.view} was not defined in the schema under the type ${query.type}`);
   }
   let viewSchema = schema[query.type].views[query.view];
+  if (viewSchema.aggregate) {
+    // Aggregate views are not paginated; they always return all of their rows.
+    for (let property of ['offset', 'pageSize', 'getCount', 'include', 'includeDocuments']) {
+      if (query[property] != null) {
+        throw new Error(
+          `Invalid view query - The ${property} property cannot be used with the ${query.view} view under the type ${query.type} because it is an aggregate view`
+        );
+      }
+    }
+  }
   let hasPrimaryKeys = viewSchema.primaryFields && viewSchema.primaryFields.length > 0;
   if (hasPrimaryKeys || (viewSchema.paramFields && viewSchema.paramFields.length > 0)) {
     validateRequiredViewParams(query);
   }
+  if (viewSchema.geo) {
+    validateGeoViewParams(query, viewSchema.geo);
+  }
+  if (viewSchema.paramFields) {
+    validateDateViewParams(query, schema, viewSchema);
+  }
+  if (viewSchema.search) {
+    let searchText = query.viewParams[viewSchema.search.param];
+    if (searchText != null && typeof searchText !== 'string') {
+      throw new Error(
+        `Invalid view query - The ${viewSchema.search.param} search param of the view ${query.view} under the type ${query.type} must be a string`
+      );
+    }
+  }
   if (hasPrimaryKeys) {
     let missingFields = [];
     for (let field of viewSchema.primaryFields) {
@@ -115,6 +378,51 @@ function validateViewQuery(query, schema) {
   }
 }
 
+// Date params are compared with native times so they need to be valid dates. Server-side
+// publishes use the ISO string of each date in channel names so subscriptions must use it too.
+function validateDateViewParams(query, schema, viewSchema) {
+  let modelSchemaFields = schema[query.type].fields || {};
+  for (let field of viewSchema.paramFields) {
+    let constraint = modelSchemaFields[field];
+    let value = query.viewParams && query.viewParams[field];
+    if (!(constraint instanceof DateTypeConstraint) || value == null) {
+      continue;
+    }
+    let date;
+    try {
+      date = constraint.validate(value);
+    } catch (error) {
+      throw new Error(
+        `Invalid view query - The ${field} view param of the view ${query.view} under the type ${query.type} must be a valid date: ${error.message}`
+      );
+    }
+    let isChannelParam = !viewSchema.primaryFields || viewSchema.primaryFields.includes(field);
+    if (query.action === 'subscribe' && isChannelParam && value !== date.toISOString()) {
+      throw new Error(
+        `Invalid view query - The ${field} view param of the view ${query.view} under the type ${query.type} must be an ISO 8601 date string in UTC such as ${date.toISOString()}`
+      );
+    }
+  }
+}
+
+function validateGeoViewParams(query, geo) {
+  let params = getGeoParams(geo);
+  let {viewParams} = query;
+  let paramRanges = [
+    [params.lat, -90, 90],
+    [params.lng, -180, 180],
+    [params.radius, 0, geo.maxRadius ?? Infinity]
+  ];
+  for (let [param, min, max] of paramRanges) {
+    let value = viewParams[param];
+    if (value != null && (typeof value !== 'number' || !(value >= min && value <= max))) {
+      throw new Error(
+        `Invalid view query - The ${param} param of the view ${query.view} under the type ${query.type} must be a number between ${min} and ${max}`
+      );
+    }
+  }
+}
+
 function validateRequiredViewParams(query) {
   let {viewParams} = query;
   if (viewParams == null) {
@@ -126,11 +434,34 @@ function validateRequiredViewParams(query) {
   }
 }
 
+const CUSTOM_ERROR_CODE = 'custom';
+
 function getUnknownFieldErrorMessage(modelName) {
   return `The field was not part of the ${modelName} model schema`;
 }
 
-function throwFieldValidationError(modelName, field, errorMessage) {
+function getNestedFieldPath(parentPath, subPath) {
+  if (subPath.startsWith('[')) {
+    return `${parentPath}${subPath}`;
+  }
+  return `${parentPath}.${subPath}`;
+}
+
+// Each constraint failure has a stable code (e.g. string.min) and a list of args
+// so that clients can localize messages. Custom validators can throw errors
+// with code and args properties; otherwise their code will be custom.
+function createConstraintError(code, message, args) {
+  let error = new Error(message);
+  error.code = code;
+  error.args = args || [];
+  return error;
+}
+
+function getErrorCode(error) {
+  return error.code || CUSTOM_ERROR_CODE;
+}
+
+function createFieldValidationError(modelName, field, errorMessage, code, args) {
   let crudValidationError = new Error(
     `Invalid ${
       field
@@ -141,17 +472,64 @@ function throwFieldValidationError(modelName, field, errorMessage) {
   crudValidationError.name = 'CRUDValidationError';
   crudValidationError.model = modelName;
   crudValidationError.field = field;
-  throw crudValidationError;
+  crudValidationError.code = code || CUSTOM_ERROR_CODE;
+  crudValidationError.args = args || [];
+  return crudValidationError;
+}
+
+function throwFieldValidationError(modelName, field, errorMessage, code, args) {
+  throw createFieldValidationError(modelName, field, errorMessage, code, args);
+}
+
+// Used by constraints which contain other constraints (e.g. object) to report
+// failures of their sub-values; each path is relative to the containing value.
+function throwNestedValidationError(code, message, subErrors) {
+  let error = createConstraintError(code, message);
+  error.subErrors = subErrors;
+  throw error;
+}
+
+function getSubErrors(path, error) {
+  if (error.subErrors) {
+    return error.subErrors.map((subError) => {
+      return {
+        path: getNestedFieldPath(path, subError.path),
+        code: subError.code,
+        message: subError.message,
+        args: subError.args
+      };
+    });
+  }
+  return [ { path, code: getErrorCode(error), message: error.message, args: error.args || [] } ];
 }
 
 function validateValue(modelName, field, value, constraint) {
   try {
     return constraint.validate(value);
   } catch (error) {
-    throwFieldValidationError(modelName, field, error.message);
+    if (error.subErrors) {
+      // Throw the first nested error but keep track of all of them so that
+      // the model validator can report each one under its own path.
+      let nestedErrors = getSubErrors(field, error).map(
+        (subError) => createFieldValidationError(
+          modelName,
+          subError.path,
+          subError.message,
+          subError.code,
+          subError.args
+        )
+      );
+      nestedErrors[0].nestedErrors = nestedErrors;
+      throw nestedErrors[0];
+    }
+    throwFieldValidationError(modelName, field, error.message, getErrorCode(error), error.args);
   }
 }
 
+function pushFieldErrors(errorList, error) {
+  errorList.push(...(error.nestedErrors || [error]));
+}
+
 function throwModelValidationError(modelName, errorList) {
   let crudValidationError = new Error(
     `Invalid ${modelName} record`
@@ -161,6 +539,9 @@ function throwModelValidationError(modelName, errorList) {
   crudValidationError.fieldErrors = Object.fromEntries(
     (errorList || []).map((error) => [ error.field, error.message ])
   );
+  crudValidationError.fieldErrorDetails = Object.fromEntries(
+    (errorList || []).map((error) => [ error.field, { code: error.code, args: error.args } ])
+  );
   throw crudValidationError;
 }
 
@@ -170,8 +551,20 @@ function enforceErrorCountLimit(modelName, errorList, options) {
   }
 }
 
+function getDefaultValue(constraint, context) {
+  let defaultValue = constraint.options.default;
+  if (typeof defaultValue === 'function') {
+    return defaultValue(context || {});
+  }
+  return defaultValue;
+}
+
+// The context argument is passed to default value functions; it may contain
+// the query and the authToken of the socket which initiated it.
+// Partial records are used to modify existing documents so they cannot
+// contain immutable fields.
 function createModelValidator(modelName, modelSchemaFields, options) {
-  return (record, allowPartial, throwImmediate) => {
+  return (record, allowPartial, throwImmediate, context) => {
     let errorList = [];
     let sanitizedRecord = {};
     if (allowPartial) {
@@ -182,13 +575,22 @@ function createModelValidator(modelName, modelSchemaFields, options) {
             throwFieldValidationError(
               modelName,
               field,
-              getUnknownFieldErrorMessage(modelName)
+              getUnknownFieldErrorMessage(modelName),
+              'unknownField'
+            );
+          }
+          if (constraint.options.immutable) {
+            throwFieldValidationError(
+              modelName,
+              field,
+              'The field cannot be modified after the record has been created',
+              'immutable'
             );
           }
           sanitizedRecord[field] = validateValue(modelName, field, value, constraint);
         } catch (error) {
           if (throwImmediate) throw error;
-          errorList.push(error);
+          pushFieldErrors(errorList, error);
         }
         enforceErrorCountLimit(modelName, errorList, options);
       }
@@ -203,22 +605,26 @@ function createModelValidator(modelName, modelSchemaFields, options) {
           throwFieldValidationError(
             modelName,
             field,
-            getUnknownFieldErrorMessage(modelName)
+            getUnknownFieldErrorMessage(modelName),
+            'unknownField'
           );
         }
       } catch (error) {
         if (throwImmediate) throw error;
-        errorList.push(error);
+        pushFieldErrors(errorList, error);
       }
       enforceErrorCountLimit(modelName, errorList, options);
     }
     for (let [field, constraint] of Object.entries(modelSchemaFields)) {
       try {
         let value = record[field];
+        if (value === undefined && constraint.options.default !== undefined) {
+          value = getDefaultValue(constraint, context);
+        }
         sanitizedRecord[field] = validateValue(modelName, field, value, constraint);
       } catch (error) {
         if (throwImmediate) throw error;
-        errorList.push(error);
+        pushFieldErrors(errorList, error);
       }
       enforceErrorCountLimit(modelName, errorList, options);
     }
@@ -229,12 +635,223 @@ function createModelValidator(modelName, modelSchemaFields, options) {
   };
 }
 
+// Async validators run after the synchronous model validator has sanitized the
+// record. They are used for checks which need database access (e.g. uniqueness).
+// If all fields are valid, the model-level validate function (if provided as an
+// option) is called with the full record; it can return an object which maps
+// field names to error messages in order to enforce cross-field rules. Instead of a
+// message string, each error can also be an object with code, message and args properties.
+function createModelAsyncValidator(modelName, modelSchemaFields, options) {
+  return async (record, context) => {
+    let errorList = [];
+    await Promise.all(
+      Object.entries(record).map(async ([field, value]) => {
+        let constraint = modelSchemaFields[field];
+        if (constraint == null || value === undefined) {
+          return;
+        }
+        try {
+          await constraint.validateAsync(value, context);
+        } catch (error) {
+          errorList.push(
+            ...getSubErrors(field, error).map(
+              (subError) => createFieldValidationError(
+                modelName,
+                subError.path,
+                subError.message,
+                subError.code,
+                subError.args
+              )
+            )
+          );
+        }
+      })
+    );
+    if (errorList.length) {
+      throwModelValidationError(modelName, errorList.slice(0, options.maxErrorCount));
+    }
+    if (options.validate) {
+      let recordErrors = await options.validate(context.record, context);
+      for (let [field, recordError] of Object.entries(recordErrors || {})) {
+        if (recordError == null) {
+          continue;
+        }
+        if (typeof recordError === 'string') {
+          errorList.push(createFieldValidationError(modelName, field, recordError));
+        } else {
+          errorList.push(
+            createFieldValidationError(modelName, field, recordError.message, recordError.code, recordError.args)
+          );
+        }
+      }
+      if (errorList.length) {
+        throwModelValidationError(modelName, errorList.slice(0, options.maxErrorCount));
+      }
+    }
+  };
+}
+
+function formatConstraintArg(arg) {
+  if (arg instanceof TypeConstraint) {
+    return arg.toString();
+  }
+  if (Array.isArray(arg)) {
+    return arg.map(formatConstraintArg).join(',');
+  }
+  if (arg != null && Object.getPrototypeOf(arg) === Object.prototype) {
+    return `{${
+      Object.entries(arg).map(
+        ([key, value]) => `${key}: ${formatConstraintArg(value)}`
+      ).join(', ')
+    }}`;
+  }
+  return String(arg);
+}
+
+function createModelJSONSchema(modelName, modelSchemaFields) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: modelName,
+    ...createObjectJSONSchema(modelSchemaFields)
+  };
+}
+
+function createModelSerializer(modelSchemaFields) {
+  return (record) => {
+    if (record == null) {
+      return record;
+    }
+    let serializedRecord = {...record};
+    for (let [field, constraint] of Object.entries(modelSchemaFields || {})) {
+      if (serializedRecord[field] !== undefined) {
+        serializedRecord[field] = constraint.serialize(serializedRecord[field]);
+      }
+    }
+    return serializedRecord;
+  };
+}
+
+const REGEX_ESCAPE_SEQUENCE_REGEX = /^\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[pP]\{[^}]*\}|c[a-zA-Z]|k<[^>]*>|[\s\S])/;
+const REGEX_GROUP_NAME_REGEX = /^\(\?<[^>=!]*>/;
+// Escapes which may stand for letters or repeat earlier matches ignore case in ways that cannot be expanded.
+const REGEX_CASE_DEPENDENT_ESCAPE_REGEX = /^\\[uxpPck1-9]/;
+
+function getOtherCase(char) {
+  let upperChar = char.toUpperCase();
+  return upperChar === char ? char.toLowerCase() : upperChar;
+}
+
+// Expands each letter of a pattern into both of its cases (e.g. a becomes [aA]).
+function expandCaseInsensitivePattern(source) {
+  let pattern = '';
+  let isInClass = false;
+  let index = 0;
+  while (index < source.length) {
+    let rest = source.slice(index);
+    let char = source[index];
+    let skipped = char === '\\' ? rest.match(REGEX_ESCAPE_SEQUENCE_REGEX) : (!isInClass && rest.match(REGEX_GROUP_NAME_REGEX));
+    if (skipped) {
+      if (REGEX_CASE_DEPENDENT_ESCAPE_REGEX.test(skipped[0])) {
+        return null;
+      }
+      pattern += skipped[0];
+      index += skipped[0].length;
+      continue;
+    }
+    if (char === '[' && !isInClass) {
+      isInClass = true;
+    } else if (char === ']' && isInClass) {
+      isInClass = false;
+    }
+    let otherCaseChar = getOtherCase(char);
+    if (otherCaseChar === char) {
+      pattern += char;
+      index++;
+      continue;
+    }
+    if (!isInClass) {
+      pattern += `[${char}${otherCaseChar}]`;
+      index++;
+      continue;
+    }
+    // Ranges such as a-f are added a second time with the other case.
+    let rangeEnd = source[index + 1] === '-' ? source[index + 2] : null;
+    if (rangeEnd != null && getOtherCase(rangeEnd) !== rangeEnd) {
+      pattern += `${char}-${rangeEnd}${otherCaseChar}-${getOtherCase(rangeEnd)}`;
+      index += 3;
+      continue;
+    }
+    pattern += `${char}${otherCaseChar}`;
+    index++;
+  }
+  return pattern;
+}
+
+// JSON Schema patterns have no flags so case-insensitive patterns are expanded to match
+// both cases. The multiline and dotAll flags change the meaning of a pattern in ways that
+// cannot be expressed, as can some escapes under the case-insensitive flag, so such
+// patterns are left out rather than made stricter.
+function getJSONSchemaPattern(regex) {
+  if (/[ms]/.test(regex.flags)) {
+    return {};
+  }
+  if (regex.flags.includes('i')) {
+    let pattern = expandCaseInsensitivePattern(regex.source);
+    return pattern == null ? {} : { pattern };
+  }
+  return { pattern: regex.source };
+}
+
+function mergeJSONSchema(jsonSchema, partialJSONSchema) {
+  for (let [keyword, value] of Object.entries(partialJSONSchema)) {
+    if (keyword === 'pattern' && jsonSchema.pattern != null) {
+      // Multiple patterns must all match.
+      jsonSchema.allOf = [...(jsonSchema.allOf || []), { pattern: value }];
+    } else {
+      jsonSchema[keyword] = value;
+    }
+  }
+  return jsonSchema;
+}
+
+function createObjectJSONSchema(fields) {
+  let jsonSchema = {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+  };
+  let requiredFields = [];
+  for (let [field, constraint] of Object.entries(fields || {})) {
+    jsonSchema.properties[field] = constraint.toJSONSchema();
+    if (constraint.options.required) {
+      requiredFields.push(field);
+    }
+  }
+  if (requiredFields.length) {
+    jsonSchema.required = requiredFields;
+  }
+  return jsonSchema;
+}
+
 class TypeConstraint {
   constructor(validators, options) {
     this.validators = validators || {};
     this.options = options || {};
   }
 
+  createSubConstraintWithValidators(newValidators, options) {
+    return new this.constructor(
+      {
+        ...this.validators,
+        ...newValidators
+      },
+      {
+        ...this.options,
+        ...options
+      }
+    );
+  }
+
   required() {
     return this.createSubConstraintWithValidators(
       null,
@@ -255,6 +872,49 @@ class TypeConstraint {
     });
   }
 
+  // Chained transforms are composed so that they run in the order in which they were declared.
+  transform(fn) {
+    let previousTransform = this.validators.transform;
+    return this.createSubConstraintWithValidators({
+      transform: previousTransform ? (value) => fn(previousTransform(value)) : fn
+    });
+  }
+
+  immutable() {
+    return this.createSubConstraintWithValidators(
+      null,
+      { immutable: true }
+    );
+  }
+
+  hidden() {
+    return this.createSubConstraintWithValidators(
+      null,
+      { hidden: true }
+    );
+  }
+
+  visibleTo(predicate) {
+    return this.createSubConstraintWithValidators(
+      null,
+      { visibleTo: predicate }
+    );
+  }
+
+  asyncValidator(fn) {
+    return this.createSubConstraintWithValidators(
+      null,
+      { asyncValidators: [...(this.options.asyncValidators || []), fn] }
+    );
+  }
+
+  default(valueOrFn) {
+    return this.createSubConstraintWithValidators(
+      null,
+      { default: valueOrFn }
+    );
+  }
+
   validate(value) {
     if (
       (this.options.allowNull && value === null) ||
@@ -262,27 +922,123 @@ class TypeConstraint {
     ) {
       return value;
     }
+    if (value === undefined) {
+      throw createConstraintError('required', 'Value is required');
+    }
     for (let validator of Object.values(this.validators)) {
       value = validator(value);
     }
     return value;
   }
 
-  toString() {
-    let validatorInfo = {...this.validators};
-    if (this.options.allowNull) {
-      validatorInfo.allowNull = {};
-    }
+  // Converts a value from its database representation to its wire format.
+  serialize(value) {
+    return value;
+  }
+
+  // Runs the async validators of the constraint and of the constraints nested inside it;
+  // failures of nested values are reported with their path like in validate.
+  async validateAsync(value, context) {
+    for (let asyncValidator of this.options.asyncValidators || []) {
+      await asyncValidator(value, context);
+    }
+    let subErrors = [];
+    await Promise.all(
+      this.getNestedConstraintEntries(value).map(async ([path, constraint, subValue]) => {
+        if (subValue === undefined) {
+          return;
+        }
+        try {
+          await constraint.validateAsync(subValue, context);
+        } catch (error) {
+          subErrors.push(...getSubErrors(path, error));
+        }
+      })
+    );
+    if (subErrors.length) {
+      throwNestedValidationError('nested', 'Value has invalid nested values', subErrors);
+    }
+  }
+
+  // Lists the [path, constraint, value] of each sub-value which has its own constraint.
+  getNestedConstraintEntries(value) {
+    return [];
+  }
+
+  // Converts a view param into the format in which the field is stored.
+  parseViewParam(value) {
+    return value;
+  }
+
+  // Whether an updated value must replace the stored value instead of being
+  // merged into it; RethinkDB merges nested objects on update by default.
+  isReplacedOnUpdate() {
+    return false;
+  }
+
+  // Maps validator names to functions which convert their args into JSON Schema keywords.
+  getJSONSchemaMappers() {
+    return {};
+  }
+
+  toJSONSchema() {
+    let jsonSchema = {};
+    let jsonSchemaMappers = this.getJSONSchemaMappers();
+    for (let [key, validatorFn] of Object.entries(this.validators)) {
+      let mapper = validatorFn.jsonSchemaMapper || jsonSchemaMappers[key];
+      if (mapper) {
+        mergeJSONSchema(jsonSchema, mapper(...(validatorFn.args || [])));
+      }
+    }
+    if (this.options.allowNull) {
+      if (jsonSchema.type != null && jsonSchema.enum == null && jsonSchema.const === undefined) {
+        jsonSchema.type = [jsonSchema.type, 'null'];
+      } else {
+        // Schemas without a single type (e.g. oneOf) or with a fixed set of values
+        // need to accept null as a separate alternative.
+        jsonSchema = { anyOf: [jsonSchema, { type: 'null' }] };
+      }
+    }
+    if (this.options.default !== undefined && typeof this.options.default !== 'function') {
+      jsonSchema.default = this.serialize(this.options.default);
+    }
+    if (this.options.hidden) {
+      jsonSchema.writeOnly = true;
+    }
+    return jsonSchema;
+  }
+
+  toString() {
+    let validatorInfo = {...this.validators};
+    if (this.options.allowNull) {
+      validatorInfo.allowNull = {};
+    }
     if (this.options.required) {
       validatorInfo.required = {};
     }
+    if (this.options.immutable) {
+      validatorInfo.immutable = {};
+    }
+    if (this.options.hidden) {
+      validatorInfo.hidden = {};
+    }
+    if (this.options.visibleTo) {
+      validatorInfo.visibleTo = {};
+    }
+    if (this.options.onDelete) {
+      validatorInfo.onDelete = { args: [this.options.onDelete] };
+    }
+    if (this.options.default !== undefined) {
+      validatorInfo.default = typeof this.options.default === 'function' ?
+        {} : { args: [this.options.default] };
+    }
     return `[constraint ${
       Object.entries(validatorInfo).map(
         ([key, validatorFn]) => {
           return `${
             key
           }${
-            Array.isArray(validatorFn.args) && validatorFn.args.length ? `(${validatorFn.args})` : ''
+            Array.isArray(validatorFn.args) && validatorFn.args.length ? `(${formatConstraintArg(validatorFn.args)})` : ''
           }`;
         }
       ).join(', ')
@@ -302,11 +1058,13 @@ const UUID_REGEXES = {
   all: /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i
 };
 
+const STRING_NORMALIZERS = ['trim', 'toLowerCase', 'toUpperCase', 'normalizeEmail'];
+
 let stringValidators = {
   string: (arg) => {
     return (value) => {
       if (typeof value !== 'string') {
-        throw new Error('Value must be a string');
+        throw createConstraintError('string.type', 'Value must be a string');
       }
       return value;
     };
@@ -314,7 +1072,7 @@ let stringValidators = {
   min: (arg) => {
     return (value) => {
       if (value.length < arg) {
-        throw new Error(`Value must be at least ${arg} character${arg === 1 ? '' : 's'} in length`);
+        throw createConstraintError('string.min', `Value must be at least ${arg} character${arg === 1 ? '' : 's'} in length`, [arg]);
       }
       return value;
     };
@@ -322,7 +1080,7 @@ let stringValidators = {
   max: (arg) => {
     return (value) => {
       if (value.length > arg) {
-        throw new Error(`Value cannot exceed ${arg} character${arg === 1 ? '' : 's'} in length`);
+        throw createConstraintError('string.max', `Value cannot exceed ${arg} character${arg === 1 ? '' : 's'} in length`, [arg]);
       }
       return value;
     };
@@ -330,7 +1088,7 @@ let stringValidators = {
   length: (arg) => {
     return (value) => {
       if (value.length !== arg) {
-        throw new Error(`Value must be ${arg} character${arg === 1 ? '' : 's'} long`);
+        throw createConstraintError('string.length', `Value must be ${arg} character${arg === 1 ? '' : 's'} long`, [arg]);
       }
       return value;
     };
@@ -338,7 +1096,7 @@ let stringValidators = {
   alphanum: (arg) => {
     return (value) => {
       if (!value.match(ALPHANUM_REGEX)) {
-        throw new Error('Value must be alphanumeric');
+        throw createConstraintError('string.alphanum', 'Value must be alphanumeric');
       }
       return value;
     };
@@ -347,7 +1105,7 @@ let stringValidators = {
     let regex = new RegExp(argA, argB);
     return (value) => {
       if (!value.match(regex)) {
-        throw new Error('Value must adhere to the required regular expression format');
+        throw createConstraintError('string.regex', 'Value must adhere to the required regular expression format', [regex.source]);
       }
       return value;
     };
@@ -355,7 +1113,7 @@ let stringValidators = {
   email: (arg) => {
     return (value) => {
       if (!value.match(EMAIL_REGEX)) {
-        throw new Error('Value must be an email address');
+        throw createConstraintError('string.email', 'Value must be an email address');
       }
       return value;
     };
@@ -363,7 +1121,7 @@ let stringValidators = {
   lowercase: (arg) => {
     return (value) => {
       if (!value.match(LOWERCASE_REGEX)) {
-        throw new Error('Value must be in lowercase');
+        throw createConstraintError('string.lowercase', 'Value must be in lowercase');
       }
       return value;
     };
@@ -371,7 +1129,7 @@ let stringValidators = {
   uppercase: (arg) => {
     return (value) => {
       if (!value.match(UPPERCASE_REGEX)) {
-        throw new Error('Value must be in uppercase');
+        throw createConstraintError('string.uppercase', 'Value must be in uppercase');
       }
       return value;
     };
@@ -379,7 +1137,7 @@ let stringValidators = {
   enum: (arg) => {
     return (value) => {
       if (!arg.includes(value)) {
-        throw new Error(`Value must be one of the following: ${arg.join(', ')}`);
+        throw createConstraintError('string.enum', `Value must be one of the following: ${arg.join(', ')}`, [arg]);
       }
       return value;
     };
@@ -388,15 +1146,37 @@ let stringValidators = {
     return (value) => {
       let regex = UUID_REGEXES[arg || 'all'];
       if (!value.match(regex)) {
-        throw new Error(
+        throw createConstraintError(
+          'string.uuid',
           `Value must be a UUID${
             arg ? ` (v${arg})` : ''
-          }`
+          }`,
+          arg ? [arg] : []
         );
       }
       return value;
     };
   },
+  trim: () => {
+    return (value) => {
+      return value.trim();
+    };
+  },
+  toLowerCase: () => {
+    return (value) => {
+      return value.toLowerCase();
+    };
+  },
+  toUpperCase: () => {
+    return (value) => {
+      return value.toUpperCase();
+    };
+  },
+  normalizeEmail: () => {
+    return (value) => {
+      return value.trim().toLowerCase();
+    };
+  },
   multi: () => {
     return (value) => {
       return value;
@@ -409,20 +1189,26 @@ let stringValidators = {
   }
 };
 
-class StringTypeConstraint extends TypeConstraint {
-  createSubConstraintWithValidators(newValidators, options) {
-    return new StringTypeConstraint(
-      {
-        ...this.validators,
-        ...newValidators
-      },
-      {
-        ...this.options,
-        ...options
-      }
-    );
+let stringJSONSchemaMappers = {
+  string: () => ({ type: 'string' }),
+  min: (arg) => ({ minLength: arg }),
+  max: (arg) => ({ maxLength: arg }),
+  length: (arg) => ({ minLength: arg, maxLength: arg }),
+  alphanum: () => getJSONSchemaPattern(ALPHANUM_REGEX),
+  regex: (argA, argB) => getJSONSchemaPattern(new RegExp(argA, argB)),
+  email: () => ({ format: 'email' }),
+  lowercase: () => getJSONSchemaPattern(LOWERCASE_REGEX),
+  uppercase: () => getJSONSchemaPattern(UPPERCASE_REGEX),
+  enum: (arg) => ({ enum: arg }),
+  uuid: (arg) => {
+    if (arg) {
+      return { format: 'uuid', ...getJSONSchemaPattern(UUID_REGEXES[arg]) };
+    }
+    return { format: 'uuid' };
   }
+};
 
+class StringTypeConstraint extends TypeConstraint {
   createSubConstraint(constraintName, args, options) {
     let newValidators = {};
     if (constraintName != null) {
@@ -433,6 +1219,10 @@ class StringTypeConstraint extends TypeConstraint {
     return this.createSubConstraintWithValidators(newValidators, options);
   }
 
+  getJSONSchemaMappers() {
+    return stringJSONSchemaMappers;
+  }
+
   min(...args) {
     return this.createSubConstraint('min', args);
   }
@@ -473,6 +1263,38 @@ class StringTypeConstraint extends TypeConstraint {
     return this.createSubConstraint('uuid', args);
   }
 
+  // Normalization needs to happen before the value is checked so normalizers are
+  // placed right after the type check and any previously declared normalizers.
+  createNormalizerSubConstraint(normalizerName) {
+    let validatorFn = stringValidators[normalizerName]();
+    validatorFn.args = [];
+    let validatorEntries = Object.entries(this.validators).filter(([name]) => name !== normalizerName);
+    let insertIndex = validatorEntries.findIndex(
+      ([name]) => name !== 'string' && !STRING_NORMALIZERS.includes(name)
+    );
+    if (insertIndex === -1) {
+      insertIndex = validatorEntries.length;
+    }
+    validatorEntries.splice(insertIndex, 0, [normalizerName, validatorFn]);
+    return new this.constructor(Object.fromEntries(validatorEntries), this.options);
+  }
+
+  trim() {
+    return this.createNormalizerSubConstraint('trim');
+  }
+
+  toLowerCase() {
+    return this.createNormalizerSubConstraint('toLowerCase');
+  }
+
+  toUpperCase() {
+    return this.createNormalizerSubConstraint('toUpperCase');
+  }
+
+  normalizeEmail() {
+    return this.createNormalizerSubConstraint('normalizeEmail');
+  }
+
   multi() {
     return this.createSubConstraint('multi', [], { multi: true });
   }
@@ -486,7 +1308,7 @@ let numberValidators = {
   number: (arg) => {
     return (value) => {
       if (typeof value !== 'number') {
-        throw new Error('Value must be a number');
+        throw createConstraintError('number.type', 'Value must be a number');
       }
       return value;
     };
@@ -494,7 +1316,7 @@ let numberValidators = {
   min: (arg) => {
     return (value) => {
       if (value < arg) {
-        throw new Error(`Value must be at least ${arg}`);
+        throw createConstraintError('number.min', `Value must be at least ${arg}`, [arg]);
       }
       return value;
     };
@@ -502,7 +1324,7 @@ let numberValidators = {
   max: (arg) => {
     return (value) => {
       if (value > arg) {
-        throw new Error(`Value cannot exceed ${arg}`);
+        throw createConstraintError('number.max', `Value cannot exceed ${arg}`, [arg]);
       }
       return value;
     };
@@ -510,27 +1332,43 @@ let numberValidators = {
   integer: (arg) => {
     return (value) => {
       if (!Number.isInteger(value)) {
-        throw new Error('Value must be an integer');
+        throw createConstraintError('number.integer', 'Value must be an integer');
+      }
+      return value;
+    };
+  },
+  round: (arg) => {
+    let decimalPlaces = arg || 0;
+    let factor = 10 ** decimalPlaces;
+    return (value) => {
+      // Values which cannot be scaled without losing precision have no digits to round.
+      if (Number.isInteger(value) || !Number.isSafeInteger(Math.trunc(value * factor))) {
+        return value;
+      }
+      return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor || 0;
+    };
+  },
+  coerce: (arg) => {
+    return (value) => {
+      if (typeof value === 'string' && value.trim() !== '') {
+        let numericValue = Number(value);
+        if (!Number.isNaN(numericValue)) {
+          return numericValue;
+        }
       }
       return value;
     };
   }
 };
 
-class NumberTypeConstraint extends TypeConstraint {
-  createSubConstraintWithValidators(newValidators, options) {
-    return new NumberTypeConstraint(
-      {
-        ...this.validators,
-        ...newValidators
-      },
-      {
-        ...this.options,
-        ...options
-      }
-    );
-  }
+let numberJSONSchemaMappers = {
+  number: () => ({ type: 'number' }),
+  min: (arg) => ({ minimum: arg }),
+  max: (arg) => ({ maximum: arg }),
+  integer: () => ({ type: 'integer' })
+};
 
+class NumberTypeConstraint extends TypeConstraint {
   createSubConstraint(constraintName, args, options) {
     let newValidators = {};
     if (constraintName != null) {
@@ -541,6 +1379,10 @@ class NumberTypeConstraint extends TypeConstraint {
     return this.createSubConstraintWithValidators(newValidators, options);
   }
 
+  getJSONSchemaMappers() {
+    return numberJSONSchemaMappers;
+  }
+
   min(...args) {
     return this.createSubConstraint('min', args);
   }
@@ -552,49 +1394,617 @@ class NumberTypeConstraint extends TypeConstraint {
   integer() {
     return this.createSubConstraint('integer', []);
   }
+
+  round(...args) {
+    return this.createSubConstraint('round', args);
+  }
+
+  // Coercion needs to happen before the value is type-checked
+  // so it is placed ahead of all other validators.
+  coerce() {
+    let validatorFn = numberValidators.coerce();
+    validatorFn.args = [];
+    return new this.constructor(
+      {
+        coerce: validatorFn,
+        ...this.validators
+      },
+      this.options
+    );
+  }
 }
 
 let booleanValidators = {
   boolean: (arg) => {
     return (value) => {
       if (typeof value !== 'boolean') {
-        throw new Error('Value must be a boolean');
+        throw createConstraintError('boolean.type', 'Value must be a boolean');
       }
       return value;
     };
   }
 };
 
+let booleanJSONSchemaMappers = {
+  boolean: () => ({ type: 'boolean' })
+};
+
 class BooleanTypeConstraint extends TypeConstraint {
-  createSubConstraintWithValidators(newValidators, options) {
-    return new BooleanTypeConstraint(
-      {
-        ...this.validators,
-        ...newValidators
-      },
-      {
-        ...this.options,
-        ...options
+  getJSONSchemaMappers() {
+    return booleanJSONSchemaMappers;
+  }
+}
+
+class AnyTypeConstraint extends TypeConstraint {}
+
+const UNKNOWN_PROPERTY_ERROR_MESSAGE = 'The field was not part of the object schema';
+
+let objectValidators = {
+  object: (fields) => {
+    return (value) => {
+      if (typeof value !== 'object' || value == null || Array.isArray(value)) {
+        throw createConstraintError('object.type', 'Value must be an object');
       }
-    );
+      let subErrors = [];
+      let sanitizedValue = {};
+      for (let key of Object.keys(value)) {
+        if (fields[key] == null) {
+          subErrors.push({ path: key, code: 'unknownField', message: UNKNOWN_PROPERTY_ERROR_MESSAGE, args: [] });
+        }
+      }
+      for (let [key, constraint] of Object.entries(fields)) {
+        try {
+          let subValue = constraint.validate(value[key]);
+          if (subValue !== undefined) {
+            sanitizedValue[key] = subValue;
+          }
+        } catch (error) {
+          subErrors.push(...getSubErrors(key, error));
+        }
+      }
+      if (subErrors.length) {
+        throwNestedValidationError('object.properties', 'Value has invalid properties', subErrors);
+      }
+      return sanitizedValue;
+    };
+  }
+};
+
+let objectJSONSchemaMappers = {
+  object: (fields) => createObjectJSONSchema(fields)
+};
+
+class ObjectTypeConstraint extends TypeConstraint {
+  getJSONSchemaMappers() {
+    return objectJSONSchemaMappers;
+  }
+
+  getNestedConstraintEntries(value) {
+    if (typeof value !== 'object' || value == null) {
+      return [];
+    }
+    let [fields] = this.validators.object.args;
+    return Object.entries(fields).map(([key, constraint]) => [key, constraint, value[key]]);
+  }
+
+  isReplacedOnUpdate() {
+    return true;
+  }
+
+  serialize(value) {
+    if (typeof value !== 'object' || value == null) {
+      return value;
+    }
+    let [fields] = this.validators.object.args;
+    let serializedValue = {...value};
+    for (let [key, constraint] of Object.entries(fields)) {
+      if (serializedValue[key] !== undefined) {
+        serializedValue[key] = constraint.serialize(serializedValue[key]);
+      }
+    }
+    return serializedValue;
   }
 }
 
-class AnyTypeConstraint extends TypeConstraint {
-  createSubConstraintWithValidators(newValidators, options) {
-    return new AnyTypeConstraint(
-      {
-        ...this.validators,
-        ...newValidators
-      },
-      {
-        ...this.options,
-        ...options
+let arrayValidators = {
+  array: (itemConstraint) => {
+    return (value) => {
+      if (!Array.isArray(value)) {
+        throw createConstraintError('array.type', 'Value must be an array');
+      }
+      if (itemConstraint == null) {
+        return value;
+      }
+      let subErrors = [];
+      let sanitizedValue = value.map((item, index) => {
+        try {
+          return itemConstraint.validate(item);
+        } catch (error) {
+          subErrors.push(...getSubErrors(`[${index}]`, error));
+          return item;
+        }
+      });
+      if (subErrors.length) {
+        throwNestedValidationError('array.items', 'Value has invalid items', subErrors);
+      }
+      return sanitizedValue;
+    };
+  },
+  min: (arg) => {
+    return (value) => {
+      if (value.length < arg) {
+        throw createConstraintError('array.min', `Value must contain at least ${arg} item${arg === 1 ? '' : 's'}`, [arg]);
+      }
+      return value;
+    };
+  },
+  max: (arg) => {
+    return (value) => {
+      if (value.length > arg) {
+        throw createConstraintError('array.max', `Value cannot contain more than ${arg} item${arg === 1 ? '' : 's'}`, [arg]);
+      }
+      return value;
+    };
+  },
+  unique: (arg) => {
+    return (value) => {
+      let itemSet = new Set();
+      let subErrors = [];
+      for (let [index, item] of value.entries()) {
+        let itemString = jsonStableStringify(item);
+        if (itemSet.has(itemString)) {
+          subErrors.push({
+            path: `[${index}]`,
+            code: 'array.unique',
+            message: 'Value must be unique within the array',
+            args: []
+          });
+        }
+        itemSet.add(itemString);
+      }
+      if (subErrors.length) {
+        throwNestedValidationError('array.unique', 'Value must not contain duplicate items', subErrors);
+      }
+      return value;
+    };
+  }
+};
+
+let arrayJSONSchemaMappers = {
+  array: (itemConstraint) => {
+    if (itemConstraint == null) {
+      return { type: 'array' };
+    }
+    return { type: 'array', items: itemConstraint.toJSONSchema() };
+  },
+  min: (arg) => ({ minItems: arg }),
+  max: (arg) => ({ maxItems: arg }),
+  unique: () => ({ uniqueItems: true })
+};
+
+class ArrayTypeConstraint extends TypeConstraint {
+  createSubConstraint(constraintName, args, options) {
+    let newValidators = {};
+    if (constraintName != null) {
+      let validatorFn = arrayValidators[constraintName](...args);
+      validatorFn.args = args;
+      newValidators[constraintName] = validatorFn;
+    }
+    return this.createSubConstraintWithValidators(newValidators, options);
+  }
+
+  min(...args) {
+    return this.createSubConstraint('min', args);
+  }
+
+  max(...args) {
+    return this.createSubConstraint('max', args);
+  }
+
+  getJSONSchemaMappers() {
+    return arrayJSONSchemaMappers;
+  }
+
+  getNestedConstraintEntries(value) {
+    let [itemConstraint] = this.validators.array.args;
+    if (itemConstraint == null || !Array.isArray(value)) {
+      return [];
+    }
+    return value.map((item, index) => [`[${index}]`, itemConstraint, item]);
+  }
+
+  unique() {
+    return this.createSubConstraint('unique', []);
+  }
+
+  serialize(value) {
+    let [itemConstraint] = this.validators.array.args;
+    if (!Array.isArray(value) || itemConstraint == null) {
+      return value;
+    }
+    return value.map((item) => itemConstraint.serialize(item));
+  }
+}
+
+function parseDate(value) {
+  let date;
+  if (value instanceof Date) {
+    date = new Date(value.getTime());
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    date = new Date(value);
+  } else {
+    return null;
+  }
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date;
+}
+
+function parseDateArg(arg) {
+  let date = parseDate(arg);
+  if (!date) {
+    throw new Error(`The date constraint argument ${arg} was not a valid date`);
+  }
+  return date;
+}
+
+let dateValidators = {
+  date: (arg) => {
+    return (value) => {
+      let date = parseDate(value);
+      if (!date) {
+        throw createConstraintError('date.type', 'Value must be a Date object, an ISO date string or a timestamp in milliseconds');
+      }
+      return date;
+    };
+  },
+  min: (arg) => {
+    let minDate = parseDateArg(arg);
+    return (value) => {
+      if (value < minDate) {
+        throw createConstraintError('date.min', `Value cannot be earlier than ${minDate.toISOString()}`, [minDate.toISOString()]);
+      }
+      return value;
+    };
+  },
+  max: (arg) => {
+    let maxDate = parseDateArg(arg);
+    return (value) => {
+      if (value > maxDate) {
+        throw createConstraintError('date.max', `Value cannot be later than ${maxDate.toISOString()}`, [maxDate.toISOString()]);
+      }
+      return value;
+    };
+  }
+};
+
+let dateJSONSchemaMappers = {
+  date: () => ({ type: 'string', format: 'date-time' }),
+  min: (arg) => ({ formatMinimum: parseDateArg(arg).toISOString() }),
+  max: (arg) => ({ formatMaximum: parseDateArg(arg).toISOString() })
+};
+
+class DateTypeConstraint extends TypeConstraint {
+  createSubConstraint(constraintName, args, options) {
+    let newValidators = {};
+    if (constraintName != null) {
+      let validatorFn = dateValidators[constraintName](...args);
+      validatorFn.args = args;
+      newValidators[constraintName] = validatorFn;
+    }
+    return this.createSubConstraintWithValidators(newValidators, options);
+  }
+
+  getJSONSchemaMappers() {
+    return dateJSONSchemaMappers;
+  }
+
+  min(...args) {
+    return this.createSubConstraint('min', args);
+  }
+
+  max(...args) {
+    return this.createSubConstraint('max', args);
+  }
+
+  parseViewParam(value) {
+    return value == null ? value : this.validate(value);
+  }
+
+  // RethinkDB times are read back as Date objects; they are always sent to
+  // clients as ISO 8601 strings in UTC.
+  serialize(value) {
+    let date = parseDate(value);
+    if (!date) {
+      return value;
+    }
+    return date.toISOString();
+  }
+}
+
+const REF_DELETE_ACTIONS = ['restrict', 'cascade', 'nullify'];
+
+// Points are accepted either as {lat, lng} objects or as GeoJSON points;
+// they are stored as RethinkDB geometry so that they can be used in geo indexes.
+function parsePoint(value) {
+  if (value == null || typeof value !== 'object') {
+    return null;
+  }
+  let lat;
+  let lng;
+  if (value.type === 'Point' && Array.isArray(value.coordinates)) {
+    [lng, lat] = value.coordinates;
+  } else {
+    ({lat, lng} = value);
+  }
+  if (
+    typeof lat !== 'number' || typeof lng !== 'number' ||
+    lat < -90 || lat > 90 || lng < -180 || lng > 180
+  ) {
+    return null;
+  }
+  return {lat, lng};
+}
+
+let pointValidators = {
+  point: () => {
+    return (value) => {
+      let point = parsePoint(value);
+      if (!point) {
+        throw createConstraintError(
+          'point.type',
+          'Value must be an object with a lat between -90 and 90 and a lng between -180 and 180'
+        );
+      }
+      return {
+        $reql_type$: 'GEOMETRY',
+        type: 'Point',
+        coordinates: [point.lng, point.lat]
+      };
+    };
+  }
+};
+
+let pointJSONSchemaMappers = {
+  point: () => ({
+    type: 'object',
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      lng: { type: 'number', minimum: -180, maximum: 180 }
+    },
+    required: ['lat', 'lng']
+  })
+};
+
+class PointTypeConstraint extends TypeConstraint {
+  getJSONSchemaMappers() {
+    return pointJSONSchemaMappers;
+  }
+
+  // RethinkDB geometry is always sent to clients as a {lat, lng} object.
+  serialize(value) {
+    return parsePoint(value) || value;
+  }
+}
+
+let refValidators = {
+  ref: (modelName) => {
+    return (value) => {
+      if (typeof value !== 'string') {
+        throw createConstraintError('ref.type', `Value must be a ${modelName} ID string`, [modelName]);
       }
+      return value;
+    };
+  }
+};
+
+// Checks that the referenced document exists; this requires database access
+// so it runs alongside other async validators.
+function createRefExistenceValidator(modelName) {
+  return async (value, context) => {
+    if (value == null) {
+      return;
+    }
+    let referencedDocument = await context.r.table(modelName).get(value).run();
+    if (referencedDocument == null) {
+      throw createConstraintError(
+        'ref.notFound',
+        `Value must be the ID of an existing ${modelName} document`,
+        [modelName, value]
+      );
+    }
+  };
+}
+
+class RefTypeConstraint extends TypeConstraint {
+  getJSONSchemaMappers() {
+    return refJSONSchemaMappers;
+  }
+
+  onDelete(action) {
+    if (!REF_DELETE_ACTIONS.includes(action)) {
+      throw new Error(
+        `The onDelete action of a ref constraint must be one of the following: ${REF_DELETE_ACTIONS.join(', ')}`
+      );
+    }
+    return this.createSubConstraintWithValidators(
+      null,
+      { onDelete: action }
     );
   }
 }
 
+let refJSONSchemaMappers = {
+  ref: (modelName) => ({ type: 'string', description: `ID of a ${modelName} document` })
+};
+
+function getAlternativeErrorSummary(error) {
+  if (error.subErrors) {
+    return error.subErrors.map((subError) => `${subError.path}: ${subError.message}`).join(', ');
+  }
+  return error.message;
+}
+
+let oneOfValidators = {
+  oneOf: (constraints) => {
+    return (value) => {
+      let alternativeErrors = [];
+      for (let constraint of constraints) {
+        try {
+          return constraint.validate(value);
+        } catch (error) {
+          alternativeErrors.push(error);
+        }
+      }
+      throw createConstraintError(
+        'oneOf',
+        `Value did not match any of the allowed types - ${
+          alternativeErrors.map(
+            (error, index) => `Option ${index + 1}: ${getAlternativeErrorSummary(error)}`
+          ).join('; ')
+        }`,
+        [
+          alternativeErrors.map((error) => {
+            return {
+              code: getErrorCode(error),
+              message: error.message,
+              args: error.args || [],
+              ...(error.subErrors ? { subErrors: error.subErrors } : {})
+            };
+          })
+        ]
+      );
+    };
+  }
+};
+
+class OneOfTypeConstraint extends TypeConstraint {
+  getJSONSchemaMappers() {
+    return oneOfJSONSchemaMappers;
+  }
+
+  isReplacedOnUpdate() {
+    return true;
+  }
+
+  // The first alternative which accepts the value.
+  getMatchingConstraint(value) {
+    let [constraints] = this.validators.oneOf.args;
+    for (let constraint of constraints) {
+      try {
+        constraint.validate(value);
+      } catch (error) {
+        continue;
+      }
+      return constraint;
+    }
+    return null;
+  }
+
+  async validateAsync(value, context) {
+    await super.validateAsync(value, context);
+    let constraint = this.getMatchingConstraint(value);
+    if (constraint) {
+      await constraint.validateAsync(value, context);
+    }
+  }
+
+  serialize(value) {
+    let constraint = this.getMatchingConstraint(value);
+    return constraint ? constraint.serialize(value) : value;
+  }
+}
+
+let oneOfJSONSchemaMappers = {
+  oneOf: (constraints) => ({ oneOf: constraints.map((constraint) => constraint.toJSONSchema()) })
+};
+
+// Each variant is selected by the value of the discriminator field so that
+// errors can be reported against the matching variant only. The discriminator
+// field does not need to be declared on the variant constraints.
+let discriminatedValidators = {
+  discriminated: (discriminatorField, variants) => {
+    return (value) => {
+      if (typeof value !== 'object' || value == null || Array.isArray(value)) {
+        throw createConstraintError('object.type', 'Value must be an object');
+      }
+      let {[discriminatorField]: kind, ...variantValue} = value;
+      let variantConstraint = Object.prototype.hasOwnProperty.call(variants, kind) ? variants[kind] : null;
+      if (variantConstraint == null) {
+        let variantNames = Object.keys(variants);
+        throwNestedValidationError('discriminated.kind', 'Value has an unknown kind', [
+          {
+            path: discriminatorField,
+            code: 'discriminated.kind',
+            message: `Value must be one of the following: ${variantNames.join(', ')}`,
+            args: [variantNames]
+          }
+        ]);
+      }
+      return {
+        [discriminatorField]: kind,
+        ...variantConstraint.validate(variantValue)
+      };
+    };
+  }
+};
+
+class DiscriminatedTypeConstraint extends TypeConstraint {
+  getJSONSchemaMappers() {
+    return discriminatedJSONSchemaMappers;
+  }
+
+  isReplacedOnUpdate() {
+    return true;
+  }
+
+  async validateAsync(value, context) {
+    await super.validateAsync(value, context);
+    let [discriminatorField, variants] = this.validators.discriminated.args;
+    if (typeof value !== 'object' || value == null) {
+      return;
+    }
+    let kind = value[discriminatorField];
+    if (Object.prototype.hasOwnProperty.call(variants, kind)) {
+      await variants[kind].validateAsync(value, context);
+    }
+  }
+
+  serialize(value) {
+    let [discriminatorField, variants] = this.validators.discriminated.args;
+    if (typeof value !== 'object' || value == null) {
+      return value;
+    }
+    let kind = value[discriminatorField];
+    if (!Object.prototype.hasOwnProperty.call(variants, kind)) {
+      return value;
+    }
+    return {
+      ...variants[kind].serialize(value),
+      [discriminatorField]: kind
+    };
+  }
+}
+
+let discriminatedJSONSchemaMappers = {
+  discriminated: (discriminatorField, variants) => {
+    return {
+      oneOf: Object.entries(variants).map(([kind, variantConstraint]) => {
+        let variantJSONSchema = variantConstraint.toJSONSchema();
+        return {
+          ...variantJSONSchema,
+          properties: {
+            [discriminatorField]: { const: kind },
+            ...variantJSONSchema.properties
+          },
+          required: [discriminatorField, ...(variantJSONSchema.required || [])]
+        };
+      })
+    };
+  }
+};
+
 let typeBuilder = {
   string: () => {
     return new StringTypeConstraint({
@@ -611,13 +2021,129 @@ let typeBuilder = {
       boolean: booleanValidators.boolean()
     });
   },
+  object: (fields) => {
+    fields = fields || {};
+    let validatorFn = objectValidators.object(fields);
+    validatorFn.args = [fields];
+    return new ObjectTypeConstraint({
+      object: validatorFn
+    });
+  },
+  array: (itemConstraint) => {
+    let validatorFn = arrayValidators.array(itemConstraint);
+    validatorFn.args = itemConstraint == null ? [] : [itemConstraint];
+    return new ArrayTypeConstraint({
+      array: validatorFn
+    });
+  },
+  date: () => {
+    return new DateTypeConstraint({
+      date: dateValidators.date()
+    });
+  },
+  point: () => {
+    return new PointTypeConstraint({
+      point: pointValidators.point()
+    });
+  },
+  oneOf: (constraints) => {
+    let validatorFn = oneOfValidators.oneOf(constraints);
+    validatorFn.args = [constraints];
+    return new OneOfTypeConstraint({
+      oneOf: validatorFn
+    });
+  },
+  discriminated: (discriminatorField, variants) => {
+    let validatorFn = discriminatedValidators.discriminated(discriminatorField, variants);
+    validatorFn.args = [discriminatorField, variants];
+    return new DiscriminatedTypeConstraint({
+      discriminated: validatorFn
+    });
+  },
+  ref: (modelName) => {
+    let validatorFn = refValidators.ref(modelName);
+    validatorFn.args = [modelName];
+    return new RefTypeConstraint(
+      {
+        ref: validatorFn
+      },
+      {
+        ref: modelName,
+        asyncValidators: [createRefExistenceValidator(modelName)]
+      }
+    );
+  },
   any: () => {
     return new AnyTypeConstraint();
   }
 };
 
+let constraintClasses = {
+  string: StringTypeConstraint,
+  number: NumberTypeConstraint,
+  boolean: BooleanTypeConstraint,
+  object: ObjectTypeConstraint,
+  array: ArrayTypeConstraint,
+  date: DateTypeConstraint,
+  point: PointTypeConstraint,
+  oneOf: OneOfTypeConstraint,
+  discriminated: DiscriminatedTypeConstraint,
+  ref: RefTypeConstraint,
+  any: AnyTypeConstraint
+};
+
+// Registers a new type on the builder. The factory must return a TypeConstraint;
+// it can either be composed from existing types or be an instance of a custom
+// TypeConstraint subclass.
+typeBuilder.extend = (typeName, factory) => {
+  if (typeBuilder[typeName]) {
+    throw new Error(`The ${typeName} type already exists so it cannot be added to the type builder`);
+  }
+  typeBuilder[typeName] = (...args) => {
+    let constraint = factory(...args);
+    if (!(constraint instanceof TypeConstraint)) {
+      throw new Error(`The factory of the ${typeName} type did not return a TypeConstraint`);
+    }
+    return constraint;
+  };
+};
+
+// Adds a chainable validator method to an existing constraint class. The target
+// can be the name of a built-in type or a TypeConstraint subclass. The validatorFactory
+// has the same signature as the built-in ones; it receives the method args and
+// returns a function which validates (and may transform) the value.
+// The optional jsonSchema function receives the same args and returns JSON Schema keywords.
+typeBuilder.extendValidator = (target, validatorName, validatorFactory, options) => {
+  let constraintClass = typeof target === 'string' ? constraintClasses[target] : target;
+  if (
+    typeof constraintClass !== 'function' ||
+    !(constraintClass.prototype instanceof TypeConstraint || constraintClass === TypeConstraint)
+  ) {
+    throw new Error(`Cannot add the ${validatorName} validator to ${target} - It is not a valid constraint type`);
+  }
+  if (validatorName in constraintClass.prototype) {
+    throw new Error(`The ${validatorName} validator already exists on the ${target} type`);
+  }
+  let jsonSchemaMapper = options && options.jsonSchema;
+  constraintClass.prototype[validatorName] = function (...args) {
+    let validatorFn = validatorFactory(...args);
+    validatorFn.args = args;
+    if (jsonSchemaMapper) {
+      validatorFn.jsonSchemaMapper = jsonSchemaMapper;
+    }
+    return this.createSubConstraintWithValidators({
+      [validatorName]: validatorFn
+    });
+  };
+};
+
 module.exports = {
   validateQuery,
   createModelValidator,
+  createModelAsyncValidator,
+  createModelSerializer,
+  createModelJSONSchema,
+  createConstraintError,
+  TypeConstraint,
   typeBuilder
 };